@@ -0,0 +1,172 @@
+// Atom and JSON Feed output of the test events recorded by fetch_and_process.js
+
+const FEED_TITLE = 'Fishtest Test Tracker';
+const FEED_MAX_ITEMS = 50; // Newest events per feed
+const GENERATOR = 'fishtest-test-tracker';
+
+const OUTCOME_TEXT = {
+    passed: 'passed',
+    failed: 'failed',
+    finished: 'finished',
+    stopped: 'was stopped'
+};
+
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function toIsoString(unixSeconds) {
+    return new Date(unixSeconds * 1000).toISOString().replace('.000Z', 'Z');
+}
+
+function formatLLRText(llr) {
+    return llr === null || llr === undefined ? 'N/A' : llr.toFixed(2);
+}
+
+function getTestUrl(apiUrl, testId) {
+    return `${apiUrl}/tests/view/${testId}`;
+}
+
+// Title and plain text body of an event
+function describeEvent(event) {
+    const subject = `${event.branch} by ${event.username}`;
+    const details = `LLR ${formatLLRText(event.llr)} after ${event.games.toLocaleString('en-US')} games.`;
+
+    switch (event.type) {
+        case 'started':
+            return { title: `${subject} started`, text: details };
+        case 'paused':
+            return { title: `${subject} paused`, text: `No workers are running the test. ${details}` };
+        case 'resumed':
+            return { title: `${subject} resumed`, text: details };
+        case 'threshold': {
+            const boundName = event.bound === 'upper' ? 'pass' : 'fail';
+            return {
+                title: `${subject} reached ${Math.round(event.threshold * 100)}% of the ${boundName} bound`,
+                text: details
+            };
+        }
+        case 'finished':
+            return { title: `${subject} ${OUTCOME_TEXT[event.outcome] ?? 'finished'}`, text: details };
+        case 'restarted':
+            return { title: `${subject} restarted`, text: details };
+        case 'purged':
+            return {
+                title: `${subject}: games purged`,
+                text: `The game count dropped from ${event.gamesBefore.toLocaleString('en-US')}, LLR was ${formatLLRText(event.llrBefore)}. ${details}`
+            };
+        case 'llr-jump':
+            return {
+                title: `${subject}: LLR jumped from ${formatLLRText(event.llrBefore)} to ${formatLLRText(event.llr)}`,
+                text: `More than the new games explain, the results were probably changed. ${details}`
+            };
+        case 'modified': {
+            const changes = event.changes
+                .map(change => `${change.parameter} ${change.from ?? 'N/A'} to ${change.to ?? 'N/A'}`)
+                .join(', ');
+            return { title: `${subject} modified`, text: `SPRT parameters changed: ${changes}. ${details}` };
+        }
+        default:
+            return { title: `${subject}: ${event.type}`, text: details };
+    }
+}
+
+// The feed of all tests, or of a single user when username is given
+function getFeedInfo(apiUrl, username) {
+    if (username) {
+        return { title: `${FEED_TITLE}: ${username}`, homeUrl: `${apiUrl}/tests/user/${encodeURIComponent(username)}` };
+    }
+    return { title: FEED_TITLE, homeUrl: `${apiUrl}/tests` };
+}
+
+// Events are expected newest first; the feed is as new as its newest event, or as lastUpdate
+// when it has none
+function buildAtomFeed(events, { apiUrl, username = null, lastUpdate = Math.floor(Date.now() / 1000) }) {
+    const { title, homeUrl } = getFeedInfo(apiUrl, username);
+    const items = events.slice(0, FEED_MAX_ITEMS);
+    const updated = toIsoString(items[0]?.time ?? lastUpdate);
+
+    const entries = items.map(event => {
+        const { title: entryTitle, text } = describeEvent(event);
+        const testUrl = getTestUrl(apiUrl, event.testId);
+        return [
+            '  <entry>',
+            `    <title>${escapeXml(entryTitle)}</title>`,
+            `    <id>${escapeXml(`${testUrl}#${event.id}`)}</id>`,
+            `    <link href="${escapeXml(testUrl)}"/>`,
+            `    <updated>${toIsoString(event.time)}</updated>`,
+            `    <author><name>${escapeXml(event.username)}</name></author>`,
+            `    <category term="${escapeXml(event.type)}"/>`,
+            `    <summary>${escapeXml(text)}</summary>`,
+            '  </entry>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <title>${escapeXml(title)}</title>`,
+        `  <id>${escapeXml(homeUrl)}</id>`,
+        `  <link href="${escapeXml(homeUrl)}"/>`,
+        `  <updated>${updated}</updated>`,
+        `  <generator>${GENERATOR}</generator>`,
+        ...entries,
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+// Feed-level <updated> of an Atom feed written by buildAtomFeed, in unix seconds
+function getAtomFeedUpdated(xml) {
+    const match = xml?.match(/^  <updated>([^<]+)<\/updated>$/m);
+    return match ? Date.parse(match[1]) / 1000 : undefined;
+}
+
+// JSON Feed 1.1, with the raw event under "_fishtest" for bots
+function buildJsonFeed(events, { apiUrl, username = null }) {
+    const { title, homeUrl } = getFeedInfo(apiUrl, username);
+    return {
+        version: 'https://jsonfeed.org/version/1.1',
+        title: title,
+        home_page_url: homeUrl,
+        items: events.slice(0, FEED_MAX_ITEMS).map(event => {
+            const { title: itemTitle, text } = describeEvent(event);
+            const testUrl = getTestUrl(apiUrl, event.testId);
+            return {
+                id: `${testUrl}#${event.id}`,
+                url: testUrl,
+                title: itemTitle,
+                content_text: text,
+                date_published: toIsoString(event.time),
+                authors: [{ name: event.username }],
+                tags: [event.type],
+                _fishtest: event
+            };
+        })
+    };
+}
+
+// FNV-1a, a short hash that is the same in Node and in the browser
+function hashUsername(username) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < username.length; i++) {
+        hash ^= username.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// File name of a user's feeds. Usernames are not guaranteed to be safe in a path; those that
+// aren't get a hash of the raw name, so "a.b" and "a_b" don't share a file.
+// getUserFeedName in app.js builds the same names for its links.
+function getUserFeedName(username) {
+    const safeName = username.replace(/[^A-Za-z0-9_-]/g, '_');
+    return safeName === username ? safeName : `${safeName}-${hashUsername(username)}`;
+}
+
+export { describeEvent, buildAtomFeed, getAtomFeedUpdated, buildJsonFeed, getUserFeedName };
@@ -1,10 +1,93 @@
-import { readFile, writeFile, mkdir } from 'fs/promises';
+import { readFile, readdir, writeFile, mkdir, rename, unlink } from 'fs/promises';
+import { createServer } from 'http';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { buildAtomFeed, getAtomFeedUpdated, buildJsonFeed, getUserFeedName } from './feeds.js';
 
-const API_URL = 'https://tests.stockfishchess.org/api/active_runs';
-const LATEST_DATA_PATH = path.resolve(process.cwd(), 'latest_data.json'); // Save in repo root
-const HISTORY_DATA_PATH = path.resolve(process.cwd(), 'historical_data.json'); // Save in repo root
-const MAX_HISTORY_POINTS = 864; // Limit history points per test.
+// Defaults of the command line options, see USAGE
+const DEFAULT_API_URL = 'https://tests.stockfishchess.org';
+const DEFAULT_MAX_HISTORY_POINTS = 864; // Limit history points per test.
+const DEFAULT_WATCH_INTERVAL_SECONDS = 300; // Same as the schedule of the GitHub Action
+const DEFAULT_SERVE_PORT = 8080;
+const DEFAULT_SERVE_HOST = '127.0.0.1'; // Only this machine, the server is meant for local development
+// The static page lives in the repo root; --serve only hands out these files of it
+const SITE_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const SITE_FILES = ['index.html', 'app.js', 'style.css', 'sw.js'];
+const SITE_DIRS = ['vendor'];
+// Long histories are downsampled instead of losing their start: the most recent points keep full
+// resolution, older ones are decimated, leaving headroom so this doesn't happen on every update
+const HISTORY_RECENT_POINTS = 288; // About a day of 5 minute updates
+const HISTORY_DOWNSAMPLE_RATIO = 0.75; // Size after downsampling, as a fraction of the maximum
+const MIN_HISTORY_POINTS = 10; // Fewer points leave too little to downsample
+// A new history point is recorded when any of these values changes
+const HISTORY_POINT_KEYS = ['score', 'llr', 'wins', 'losses', 'draws', 'workers'];
+const THROUGHPUT_WINDOW_SECONDS = 3 * 3600; // Recent history used to measure the game throughput
+// Retention of finished tests, overridable through the environment of the Action
+const FINISHED_MAX_AGE_HOURS = parseFloat(process.env.FINISHED_MAX_AGE_HOURS) || 48;
+const FINISHED_MAX_ENTRIES = parseInt(process.env.FINISHED_MAX_ENTRIES) || 50;
+const LLR_BOUND = 2.94443897916644; // Default SPRT bound (alpha = beta = 0.05)
+// Events for the feeds: a test crossing these fractions of its LLR bound is reported
+const EVENT_LLR_THRESHOLDS = [0.5, 0.9];
+const EVENTS_MAX_AGE_HOURS = 7 * 24;
+const EVENTS_MAX_ENTRIES = 500;
+// Events that explain the shape of a test's chart, kept with its history as long as the history
+const TEST_HISTORY_EVENT_TYPES = ['paused', 'resumed', 'purged', 'llr-jump', 'modified', 'restarted'];
+const TEST_EVENTS_MAX_ENTRIES = 200;
+// New games move the LLR by about 0.008 * sqrt(games); a change far beyond that means fishtest
+// recomputed the LLR from different results rather than from the games played since the last point
+const LLR_JUMP_MIN = 0.1;
+const LLR_JUMP_PER_SQRT_GAME = 0.04;
+const SPRT_PARAMETER_KEYS = ['elo0', 'elo1', 'alpha', 'beta', 'model'];
+// Network settings for the Fishtest API
+const FETCH_TIMEOUT_MS = 30000;
+const FETCH_RETRIES = 3; // Retries after the first attempt, with exponential backoff
+const FETCH_BACKOFF_MS = 2000;
+// Sanity guard: refuse to update when the number of active runs collapses, unless forced
+const SANITY_MIN_PREVIOUS_RUNS = 10; // Only applies when at least this many runs were active before
+const SANITY_MIN_RUNS_RATIO = 0.2; // Fraction of the previous active runs that must still be reported
+const FORCE_UPDATE = ['1', 'true'].includes(process.env.FORCE_UPDATE);
+
+const USAGE = `Usage: node fetch_and_process.js [options]
+
+Fetches the active runs from fishtest and updates the data files of the tracker.
+
+Options:
+  --api-url <url>       Base URL of the fishtest instance (default: ${DEFAULT_API_URL})
+  --out-dir <dir>       Directory of the data files (default: the current directory)
+  --max-points <n>      History points per test before downsampling (default: ${DEFAULT_MAX_HISTORY_POINTS})
+  --once                Update once and exit (default, unless --watch or --serve is given)
+  --watch               Keep updating, every --interval seconds
+  --interval <seconds>  Time between updates in watch mode (default: ${DEFAULT_WATCH_INTERVAL_SECONDS})
+  --dry-run             Print what would change instead of writing the files
+  --force               Update even if the sanity checks fail (same as FORCE_UPDATE=1)
+  --user-feeds          Also write a feed per user to feeds/<username>.xml and .json
+  --serve               Host the tracker page and the data files locally, add --watch to keep them updated
+  --port <port>         Port of --serve (default: ${DEFAULT_SERVE_PORT})
+  --host <host>         Address --serve listens on (default: ${DEFAULT_SERVE_HOST})
+  -h, --help            Show this help`;
+
+// Paths of the data files inside the output directory
+function getDataPaths(outDir) {
+    const historyDir = path.join(outDir, 'history'); // One compact file per test, plus the manifest
+    return {
+        latestData: path.join(outDir, 'latest_data.json'),
+        historyDir: historyDir,
+        historyManifest: path.join(historyDir, 'manifest.json'),
+        legacyHistory: path.join(outDir, 'historical_data.json'), // Single file used before, migrated once
+        finishedData: path.join(outDir, 'finished_data.json'),
+        events: path.join(outDir, 'events.json'), // Source of the feeds
+        atomFeed: path.join(outDir, 'feed.xml'),
+        jsonFeed: path.join(outDir, 'feed.json'),
+        userFeedsDir: path.join(outDir, 'feeds')
+    };
+}
+
+// Names of the data files written directly into the output directory
+function getDataFileNames(paths) {
+    return [paths.latestData, paths.finishedData, paths.events, paths.atomFeed, paths.jsonFeed]
+        .map(filePath => path.basename(filePath));
+}
 
 async function loadJson(filePath, defaultValue) {
     try {
@@ -20,66 +103,401 @@ async function loadJson(filePath, defaultValue) {
     }
 }
 
-async function saveJson(filePath, data) {
+// Temporary files of saveText are named <target>.<pid>.tmp, they are git-ignored and
+// cleaned up by removeStaleTempFiles
+const TEMP_FILE_SUFFIX = '.tmp';
+const TEMP_FILE_PATTERN = /^(.+)\.(\d+)\.tmp$/;
+
+async function saveText(filePath, text) {
+    // Write to a temporary file first and rename it over the target, so an interrupted
+    // write can never leave a truncated file behind. It sits next to the target because
+    // a rename can't move a file to another file system.
+    const tempPath = `${filePath}.${process.pid}${TEMP_FILE_SUFFIX}`;
     try {
         const dir = path.dirname(filePath);
         // Ensure directory exists (useful for first run or complex paths)
         await mkdir(dir, { recursive: true });
-        await writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8'); // Pretty print JSON
+        await writeFile(tempPath, text, 'utf-8');
+        await rename(tempPath, filePath);
         console.log(`Successfully saved data to ${filePath}`);
     } catch (error) {
-        console.error(`Error writing JSON to ${filePath}:`, error);
+        console.error(`Error writing ${filePath}:`, error);
+        await unlink(tempPath).catch(() => {}); // The temporary file may not exist
+        throw error;
+    }
+}
+
+// Compact files are written without indentation, for the files the frontend downloads
+async function saveJson(filePath, data, { compact = false } = {}) {
+    await saveText(filePath, compact ? JSON.stringify(data) : JSON.stringify(data, null, 2)); // Pretty print JSON unless compact
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function readTextOrUndefined(filePath) {
+    try {
+        return await readFile(filePath, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return undefined;
         throw error;
     }
 }
 
-async function fetchFishtestData() {
+async function readJsonOrUndefined(filePath) {
+    const text = await readTextOrUndefined(filePath);
+    return text === undefined ? undefined : JSON.parse(text);
+}
+
+function isProcessRunning(pid) {
     try {
-        const response = await fetch(API_URL);
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status} ${response.statusText}`);
+        process.kill(pid, 0); // Signal 0 only checks that the process exists
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM'; // It exists but belongs to another user
+    }
+}
+
+// Delete the temporary files an update left behind when it was killed between writing and renaming.
+// Files of a process that is still running belong to an update in progress, e.g. a --watch loop
+// next to a one-off run, and are kept. In the output directory only the data files' ones are touched.
+async function removeStaleTempFiles(paths) {
+    const dataFileNames = getDataFileNames(paths);
+    const dirs = [
+        { dir: path.dirname(paths.latestData), isTarget: fileName => dataFileNames.includes(fileName) },
+        { dir: paths.historyDir, isTarget: () => true },
+        { dir: paths.userFeedsDir, isTarget: () => true }
+    ];
+    for (const { dir, isTarget } of dirs) {
+        const fileNames = await readdir(dir).catch(error => {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        });
+        for (const fileName of fileNames) {
+            const match = fileName.match(TEMP_FILE_PATTERN);
+            if (!match || !isTarget(match[1]) || isProcessRunning(Number(match[2]))) continue;
+            console.log(`Removing stale temporary file ${path.join(dir, fileName)}`);
+            await unlink(path.join(dir, fileName)).catch(error => {
+                if (error.code !== 'ENOENT') throw error; // Removed by another run meanwhile
+            });
+        }
+    }
+}
+
+// Where the update writes its files. With dryRun nothing is written, the changes are only
+// recorded so they can be printed as a diff.
+function createOutput({ dryRun = false } = {}) {
+    const changes = [];
+    return {
+        dryRun,
+        changes,
+        async save(filePath, data, options) {
+            if (dryRun) {
+                changes.push({ filePath, before: await readJsonOrUndefined(filePath), after: data });
+                return;
+            }
+            await saveJson(filePath, data, options);
+        },
+        async saveText(filePath, text) {
+            if (dryRun) {
+                changes.push({ filePath, before: await readTextOrUndefined(filePath), after: text });
+                return;
+            }
+            await saveText(filePath, text);
+        },
+        async remove(filePath) {
+            if (dryRun) {
+                const before = filePath.endsWith('.json')
+                    ? await readJsonOrUndefined(filePath)
+                    : await readTextOrUndefined(filePath);
+                if (before !== undefined) changes.push({ filePath, before, after: undefined });
+                return;
+            }
+            await unlink(filePath).catch(error => {
+                if (error.code !== 'ENOENT') throw error;
+            });
         }
-        return await response.json();
+    };
+}
+
+function countLabel(count, singular, plural = `${singular}s`) {
+    return `${count} ${count === 1 ? singular : plural}`;
+}
+
+// Key of an item of a data file: events are only unique per test, tests by their id
+function getItemKey(item) {
+    return item.testId !== undefined ? `${item.testId}:${item.id}` : item.id;
+}
+
+// Keyed items added, changed and removed between two versions of a file: the test lists and event
+// lists by item, the manifest by test id. Null for content without keys, like the points of a history.
+function diffKeyedItems(before, after) {
+    const toEntries = (content) => {
+        if (Array.isArray(content?.items)) {
+            content = content.items; // JSON Feed
+        }
+        if (Array.isArray(content)) {
+            return content.every(item => item?.id !== undefined)
+                ? content.map(item => [getItemKey(item), item])
+                : null;
+        }
+        return content && typeof content === 'object' ? Object.entries(content) : null;
+    };
+    const beforeEntries = before === undefined ? [] : toEntries(before);
+    const afterEntries = after === undefined ? [] : toEntries(after);
+    if (!beforeEntries || !afterEntries) return null;
+
+    const beforeByKey = new Map(beforeEntries);
+    const afterByKey = new Map(afterEntries);
+    return {
+        added: afterEntries.filter(([key]) => !beforeByKey.has(key)).map(([key]) => key),
+        changed: afterEntries
+            .filter(([key, item]) => beforeByKey.has(key) && JSON.stringify(beforeByKey.get(key)) !== JSON.stringify(item))
+            .map(([key]) => key),
+        removed: beforeEntries.filter(([key]) => !afterByKey.has(key)).map(([key]) => key)
+    };
+}
+
+// "+" created, "-" deleted, "M" modified, followed by the keys of the items that were added,
+// changed or removed, or the size of a history. Null when the content stays the same.
+function describeChange({ filePath, before, after }, outDir) {
+    const name = path.relative(outDir, filePath);
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+        return null;
+    }
+    const marker = before === undefined ? '+' : after === undefined ? '-' : 'M';
+    // Text files (the Atom feeds) only get the marker
+    if (typeof before === 'string' || typeof after === 'string') {
+        return [`${marker} ${name}`];
+    }
+
+    const diff = diffKeyedItems(before, after);
+    if (!diff) {
+        // History of a test
+        const size = (content) => countLabel(Array.isArray(content) ? content.length : 0, 'point');
+        const summary = marker === '+' ? size(after)
+            : marker === '-' ? size(before)
+            : `${before.length ?? 0} -> ${size(after)}`;
+        return [`${marker} ${name} (${summary})`];
+    }
+
+    const lines = [`${marker} ${name}`];
+    for (const [label, keys] of Object.entries(diff)) {
+        if (keys.length > 0) {
+            lines.push(`    ${label} (${keys.length}): ${keys.join(', ')}`);
+        }
+    }
+    return lines;
+}
+
+function printDryRunDiff(changes, outDir) {
+    const descriptions = changes.map(change => describeChange(change, outDir)).filter(Boolean);
+    if (descriptions.length === 0) {
+        console.log("Dry run: no files would change.");
+        return;
+    }
+    console.log(`Dry run: ${countLabel(descriptions.length, 'file')} would change:`);
+    descriptions.flat().forEach(line => console.log(`  ${line}`));
+}
+
+// Fetch JSON with a timeout, retrying network errors, timeouts, 429 and 5xx responses with exponential backoff
+async function fetchJsonWithRetry(url, retries = FETCH_RETRIES) {
+    for (let attempt = 0; ; attempt++) {
+        let retryable = true;
+        try {
+            const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+            if (!response.ok) {
+                retryable = response.status === 429 || response.status >= 500;
+                throw new Error(`HTTP error! status: ${response.status} ${response.statusText}`);
+            }
+            return await response.json();
+        } catch (error) {
+            if (!retryable || attempt >= retries) {
+                throw error;
+            }
+            const delay = FETCH_BACKOFF_MS * 2 ** attempt;
+            console.warn(`Fetching ${url} failed (${error.message}), retrying in ${delay / 1000}s...`);
+            await sleep(delay);
+        }
+    }
+}
+
+async function fetchFishtestData(apiUrl) {
+    try {
+        return await fetchJsonWithRetry(`${apiUrl}/api/active_runs`);
     } catch (error) {
         console.error("Error fetching Fishtest API:", error);
         throw error; // Stop execution if API fetch fails
     }
 }
 
+// Fetch the full run of a single test, used to get the final state of finished tests
+async function fetchRunDetails(apiUrl, testId) {
+    try {
+        return await fetchJsonWithRetry(`${apiUrl}/api/get_run/${testId}`, 1);
+    } catch (error) {
+        // Not fatal, the last known state of the test is used instead
+        console.error(`Error fetching run details for ${testId}:`, error);
+        return null;
+    }
+}
+
+function parseNumberOrNull(value) {
+    const number = parseFloat(value);
+    return isNaN(number) ? null : number;
+}
+
+// Fishtest dates look like "2025-06-21 10:11:12.123456+00:00", returns Unix seconds or null
+function parseFishtestTime(value) {
+    if (typeof value !== 'string') return null;
+    let isoString = value.trim().replace(' ', 'T');
+    if (!/(Z|[+-]\d{2}:?\d{2})$/.test(isoString)) {
+        isoString += 'Z'; // Fishtest times are UTC
+    }
+    const timestamp = Date.parse(isoString);
+    return isNaN(timestamp) ? null : Math.floor(timestamp / 1000);
+}
+
+// Keep the SPRT parameters of a test, computing the LLR bounds from alpha/beta if fishtest omitted them
+function processSprt(sprtArgs) {
+    if (!sprtArgs) return null;
+
+    const alpha = parseNumberOrNull(sprtArgs.alpha);
+    const beta = parseNumberOrNull(sprtArgs.beta);
+    let lowerBound = parseNumberOrNull(sprtArgs.lower_bound);
+    let upperBound = parseNumberOrNull(sprtArgs.upper_bound);
+    if (lowerBound === null && alpha !== null && beta !== null) {
+        lowerBound = Math.log(beta / (1 - alpha));
+    }
+    if (upperBound === null && alpha !== null && beta !== null) {
+        upperBound = Math.log((1 - beta) / alpha);
+    }
+
+    return {
+        elo0: parseNumberOrNull(sprtArgs.elo0),
+        elo1: parseNumberOrNull(sprtArgs.elo1),
+        alpha: alpha,
+        beta: beta,
+        lowerBound: lowerBound,
+        upperBound: upperBound,
+        model: sprtArgs.elo_model ?? null
+    };
+}
+
+// SPRT tests stop at a bound, SPSA tunes parameters, anything else plays a fixed number of games
+function getTestType(args) {
+    if (args.sprt) return 'sprt';
+    if (args.spsa) return 'spsa';
+    return 'fixed';
+}
+
+function processRun(test) {
+    const args = test.args || {}; // Ensure args exists
+
+    const llr = args.sprt?.llr ?? null; // LLR from sprt object if it exists
+    const wins = parseInt(test.results?.wins) || 0;
+    const losses = parseInt(test.results?.losses) || 0;
+    const draws = parseInt(test.results?.draws) || 0;
+    const workers = parseInt(test.workers) || 0;
+    // Game pair outcomes [LL, LD, DD+WL, WD, WW], absent for some older tests
+    const pentanomial = Array.isArray(test.results?.pentanomial) && test.results.pentanomial.length === 5
+        ? test.results.pentanomial.map(n => parseInt(n) || 0)
+        : null;
+
+    // Get sprtElo0 if sprt object and elo0 property exist
+    let sprtElo0 = null;
+    if (args.sprt && typeof args.sprt.elo0 !== 'undefined') {
+        sprtElo0 = parseFloat(args.sprt.elo0);
+        // If parseFloat results in NaN (e.g., for non-numeric input), set to null
+        if (isNaN(sprtElo0)) {
+            sprtElo0 = null;
+        }
+    }
+
+    return {
+        id: test._id,
+        username: args.username ?? 'N/A',
+        branch: args.new_tag ?? 'N/A',
+        llr: llr !== null ? parseFloat(llr) : null, // Ensure numeric or null
+        wins: wins,
+        losses: losses,
+        draws: draws,
+        pentanomial: pentanomial,
+        workers: workers,
+        sprtElo0: sprtElo0,
+        sprt: processSprt(args.sprt),
+        startTime: parseFishtestTime(test.start_time),
+        // Test configuration
+        testType: getTestType(args),
+        tc: args.tc ?? null,
+        newTc: args.new_tc ?? null, // Differs from tc for time odds tests
+        threads: parseInt(args.threads) || 1,
+        book: args.book ?? null,
+        numGames: parseInt(args.num_games) || null, // The game limit, also set for SPRT tests
+        // What the test changes, for the detail panel
+        msgNew: args.msg_new ?? null,
+        baseTag: args.base_tag ?? null,
+        msgBase: args.msg_base ?? null,
+        testsRepo: args.tests_repo ?? null,
+        resolvedNew: args.resolved_new ?? null,
+        resolvedBase: args.resolved_base ?? null
+    };
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isCount = (value) => Number.isInteger(Number(value)) && Number(value) >= 0 && value !== null && value !== '';
+
+// List what is wrong with a run from the API, an empty list means it can be processed
+function validateRun(run) {
+    if (!isObject(run)) return ['run is not an object'];
+
+    const problems = [];
+    // The ID names the history file of the test, so it must be safe to use in a path
+    if (typeof run._id !== 'string' || !/^[A-Za-z0-9_-]+$/.test(run._id)) problems.push(`invalid _id: ${run._id}`);
+    if (!isObject(run.args)) {
+        problems.push('missing args');
+    } else {
+        if (typeof run.args.username !== 'string') problems.push('missing args.username');
+        if (typeof run.args.new_tag !== 'string') problems.push('missing args.new_tag');
+        if (run.args.sprt !== undefined && run.args.sprt !== null) {
+            if (!isObject(run.args.sprt)) {
+                problems.push('args.sprt is not an object');
+            } else if (run.args.sprt.llr !== undefined && !Number.isFinite(Number(run.args.sprt.llr))) {
+                problems.push(`invalid args.sprt.llr: ${run.args.sprt.llr}`);
+            }
+        }
+    }
+    if (!isObject(run.results)) {
+        problems.push('missing results');
+    } else {
+        for (const key of ['wins', 'losses', 'draws']) {
+            if (!isCount(run.results[key])) problems.push(`invalid results.${key}: ${run.results[key]}`);
+        }
+    }
+    if (run.workers !== undefined && !isCount(run.workers)) problems.push(`invalid workers: ${run.workers}`);
+    return problems;
+}
+
 function processRawData(rawData) {
+    if (!isObject(rawData)) {
+        throw new Error(`Unexpected API response: expected an object of runs, got ${Array.isArray(rawData) ? 'an array' : typeof rawData}`);
+    }
+
     const processedTests = [];
+    const skippedRuns = [];
     for (const id in rawData) {
-        const test = rawData[id];
-        const args = test.args || {}; // Ensure args exists
-
-        const llr = args.sprt?.llr ?? null; // LLR from sprt object if it exists
-        const wins = parseInt(test.results?.wins) || 0;
-        const losses = parseInt(test.results?.losses) || 0;
-        const draws = parseInt(test.results?.draws) || 0;
-        const workers = parseInt(test.workers) || 0;
-
-        // Get sprtElo0 if sprt object and elo0 property exist
-        let sprtElo0 = null;
-        if (args.sprt && typeof args.sprt.elo0 !== 'undefined') {
-            sprtElo0 = parseFloat(args.sprt.elo0);
-            // If parseFloat results in NaN (e.g., for non-numeric input), set to null
-            if (isNaN(sprtElo0)) {
-                sprtElo0 = null;
-            }
+        const run = isObject(rawData[id]) ? { _id: id, ...rawData[id] } : rawData[id];
+        const problems = validateRun(run);
+        if (problems.length > 0) {
+            skippedRuns.push(id);
+            console.warn(`Skipping malformed run ${id}: ${problems.join(', ')}`);
+            continue;
         }
-
-        processedTests.push({
-            id: test._id,
-            username: args.username ?? 'N/A',
-            branch: args.new_tag ?? 'N/A',
-            llr: llr !== null ? parseFloat(llr) : null, // Ensure numeric or null
-            wins: wins,
-            losses: losses,
-            draws: draws,
-            workers: workers,
-            sprtElo0: sprtElo0
-        });
+        processedTests.push(processRun(run));
     }
+    if (skippedRuns.length > 0) {
+        console.warn(`Skipped ${skippedRuns.length} of ${Object.keys(rawData).length} runs.`);
+    }
+
     // Sort by LLR descending immediately after processing
     processedTests.sort((a, b) => {
         if (a.llr === null && b.llr === null) return 0;
@@ -87,18 +505,281 @@ function processRawData(rawData) {
         if (b.llr === null) return -1;
         return b.llr - a.llr;
     });
-    return processedTests;
+    return { processedTests, skippedCount: skippedRuns.length };
+}
+
+// Returns why the new data looks wrong compared to the previous run, or null if it looks fine
+function checkSanity(previousTests, latestProcessedTests, skippedCount) {
+    const previousCount = previousTests.length;
+    const latestCount = latestProcessedTests.length;
+    if (previousCount >= SANITY_MIN_PREVIOUS_RUNS && latestCount < previousCount * SANITY_MIN_RUNS_RATIO) {
+        return `the API reports ${latestCount} usable active runs, down from ${previousCount}`;
+    }
+    if (skippedCount > 0 && skippedCount >= latestCount) {
+        return `${skippedCount} runs were malformed and only ${latestCount} could be processed`;
+    }
+    return null;
+}
+
+function getHistoryFilePath(paths, testId) {
+    return path.join(paths.historyDir, `${testId}.json`);
+}
+
+// Events of a test next to its history, only written once the test has some
+function getTestEventsFilePath(paths, testId) {
+    return path.join(paths.historyDir, `${testId}.events.json`);
+}
+
+// Load the history and events of every test listed in the manifest, or import the old single history file
+async function loadHistory(paths) {
+    const manifest = await loadJson(paths.historyManifest, null);
+    if (manifest === null) {
+        const legacyHistory = await loadJson(paths.legacyHistory, {});
+        const migrated = Object.keys(legacyHistory).length > 0;
+        if (migrated) {
+            console.log(`Migrating ${Object.keys(legacyHistory).length} tests from ${paths.legacyHistory} to ${paths.historyDir}`);
+        }
+        return { history: legacyHistory, testEvents: {}, manifest: {}, migrated };
+    }
+
+    const history = {};
+    const testEvents = {};
+    for (const testId of Object.keys(manifest)) {
+        history[testId] = await loadJson(getHistoryFilePath(paths, testId), []);
+        if (manifest[testId].events > 0) {
+            testEvents[testId] = await loadJson(getTestEventsFilePath(paths, testId), []);
+        }
+    }
+    return { history, testEvents, manifest, migrated: false };
+}
+
+// Games per hour over the recent history, null if it can't be measured
+function computeRecentGamesPerHour(testHistory) {
+    const pointsWithGames = testHistory.filter(point => typeof point.wins === 'number');
+    if (pointsWithGames.length < 2) return null;
+
+    const games = (point) => point.wins + point.losses + point.draws;
+    const lastPoint = pointsWithGames[pointsWithGames.length - 1];
+    const firstPoint = pointsWithGames.find(point => point.time >= lastPoint.time - THROUGHPUT_WINDOW_SECONDS);
+    if (firstPoint === lastPoint) return null;
+    return Math.round((games(lastPoint) - games(firstPoint)) / ((lastPoint.time - firstPoint.time) / 3600));
+}
+
+// The small index the frontend loads instead of every history file
+function buildHistoryManifest(history, testEvents = {}) {
+    const manifest = {};
+    for (const testId in history) {
+        const testHistory = history[testId];
+        manifest[testId] = {
+            lastUpdate: testHistory[testHistory.length - 1]?.time ?? null,
+            points: testHistory.length,
+            gamesPerHour: computeRecentGamesPerHour(testHistory),
+            events: testEvents[testId]?.length ?? 0
+        };
+    }
+    return manifest;
+}
+
+// Write the history and event files of changed tests, delete those of removed tests, then the manifest
+async function saveHistory(output, paths, history, testEvents, previousManifest, { changedTestIds, changedEventTestIds, removedTestIds }) {
+    for (const testId of changedTestIds) {
+        if (history[testId]) {
+            await output.save(getHistoryFilePath(paths, testId), history[testId], { compact: true });
+        }
+    }
+    for (const testId of changedEventTestIds) {
+        if (history[testId] && testEvents[testId]) {
+            await output.save(getTestEventsFilePath(paths, testId), testEvents[testId], { compact: true });
+        }
+    }
+    for (const testId of removedTestIds) {
+        await output.remove(getHistoryFilePath(paths, testId));
+        await output.remove(getTestEventsFilePath(paths, testId));
+    }
+
+    const manifest = buildHistoryManifest(history, testEvents);
+    if (JSON.stringify(manifest) !== JSON.stringify(previousManifest)) {
+        await output.save(paths.historyManifest, manifest, { compact: true });
+    } else {
+        console.log("History manifest unchanged, skipping save.");
+    }
+}
+
+// Largest-Triangle-Three-Buckets: pick `threshold` points that keep the visual shape of the line.
+// The first and last points are always kept.
+function largestTriangleThreeBuckets(points, threshold, getY) {
+    if (threshold >= points.length || threshold < 3) return points.slice();
+
+    const sampled = [points[0]];
+    const bucketSize = (points.length - 2) / (threshold - 2);
+    let previousIndex = 0;
+
+    for (let bucket = 0; bucket < threshold - 2; bucket++) {
+        const start = Math.floor(bucket * bucketSize) + 1;
+        const end = Math.floor((bucket + 1) * bucketSize) + 1;
+
+        // Average of the next bucket, the third corner of the triangle
+        const nextStart = end;
+        const nextEnd = Math.min(Math.floor((bucket + 2) * bucketSize) + 1, points.length);
+        let averageX = 0;
+        let averageY = 0;
+        for (let i = nextStart; i < nextEnd; i++) {
+            averageX += points[i].time;
+            averageY += getY(points[i]);
+        }
+        averageX /= nextEnd - nextStart;
+        averageY /= nextEnd - nextStart;
+
+        const previous = points[previousIndex];
+        let maxArea = -1;
+        let selectedIndex = start;
+        for (let i = start; i < end; i++) {
+            const area = Math.abs(
+                (previous.time - averageX) * (getY(points[i]) - getY(previous)) -
+                (previous.time - points[i].time) * (averageY - getY(previous))
+            );
+            if (area > maxArea) {
+                maxArea = area;
+                selectedIndex = i;
+            }
+        }
+        sampled.push(points[selectedIndex]);
+        previousIndex = selectedIndex;
+    }
+
+    sampled.push(points[points.length - 1]);
+    return sampled;
+}
+
+// Shrink a history that outgrew maxPoints, keeping the whole life of the test: the recent points
+// stay as they are, older points are decimated with LTTB on the LLR (the score for tests without
+// one), and the first point and the extremes of LLR and score are kept. Those count toward the
+// target size, so the result never outgrows it and isn't downsampled again on the next update.
+function downsampleHistory(testHistory, maxPoints = DEFAULT_MAX_HISTORY_POINTS) {
+    const targetPoints = Math.floor(maxPoints * HISTORY_DOWNSAMPLE_RATIO);
+    const recentCount = Math.min(HISTORY_RECENT_POINTS, Math.floor(targetPoints / 2));
+    const olderPoints = testHistory.slice(0, testHistory.length - recentCount);
+    const recentPoints = testHistory.slice(testHistory.length - recentCount);
+    const olderTarget = targetPoints - recentCount;
+
+    // With a very small target the LLR extremes go first, then the score extremes
+    const kept = new Set([olderPoints[0]]);
+    for (const key of ['llr', 'score']) {
+        const withValue = olderPoints.filter(point => typeof point[key] === 'number');
+        if (withValue.length === 0) continue;
+        const min = withValue.reduce((min, point) => point[key] < min[key] ? point : min);
+        const max = withValue.reduce((max, point) => point[key] > max[key] ? point : max);
+        for (const extreme of [min, max]) {
+            if (kept.size < olderTarget) kept.add(extreme);
+        }
+    }
+
+    // LTTB fills the rest, the first point it keeps is already counted
+    const lttbPoints = olderTarget - kept.size + 1;
+    if (lttbPoints >= 3) {
+        const getY = (point) => point.llr ?? point.score ?? 0;
+        largestTriangleThreeBuckets(olderPoints, lttbPoints, getY).forEach(point => kept.add(point));
+    }
+
+    // The set holds the original objects, so filtering keeps them in time order
+    return [...olderPoints.filter(point => kept.has(point)), ...recentPoints];
+}
+
+// An event of a test for the feeds, its id is unique per test
+function createTestEvent(type, test, time, details = {}) {
+    return {
+        id: `${type}-${details.bound ? `${details.bound}-${details.threshold * 100}-` : ''}${time}`,
+        type: type,
+        time: time,
+        testId: test.id,
+        username: test.username,
+        branch: test.branch,
+        llr: test.llr,
+        games: test.wins + test.losses + test.draws,
+        ...details
+    };
+}
+
+// Signed fraction of the LLR bound the test is heading for, like the LLR percentage on the page
+function getLLRFraction(llr, test) {
+    const upperBound = test.sprt?.upperBound ?? LLR_BOUND;
+    const lowerBound = test.sprt?.lowerBound ?? -LLR_BOUND;
+    return llr >= 0 ? llr / upperBound : llr / -lowerBound;
 }
 
-async function updateHistoricalData(currentHistory, latestProcessedTests) {
-    let historyChanged = false;
+// SPRT parameters that differ between two snapshots of a test, as { parameter, from, to }
+function getSprtChanges(previousSprt, sprt) {
+    if (!previousSprt || !sprt) return [];
+    return SPRT_PARAMETER_KEYS
+        .filter(key => previousSprt[key] !== sprt[key])
+        .map(key => ({ parameter: key, from: previousSprt[key], to: sprt[key] }));
+}
+
+// Compare a test with the last point of its history and with its previous snapshot: paused or
+// resumed, games purged, LLR recomputed, SPRT parameters modified, and LLR thresholds crossed.
+// Each threshold is reported once per test: the ones reached are carried from snapshot to
+// snapshot in test.reachedThresholds, so an LLR going back and forth around one stays quiet.
+function detectTestEvents(lastEntry, test, time, previousTest = null) {
+    const events = [];
+    if (typeof lastEntry.workers === 'number') {
+        if (lastEntry.workers > 0 && test.workers === 0) events.push(createTestEvent('paused', test, time));
+        if (lastEntry.workers === 0 && test.workers > 0) events.push(createTestEvent('resumed', test, time));
+    }
+
+    const sprtChanges = getSprtChanges(previousTest?.sprt, test.sprt);
+    if (sprtChanges.length > 0) {
+        events.push(createTestEvent('modified', test, time, { changes: sprtChanges }));
+    }
+
+    // Points from before the game counts were recorded can't show a purge
+    const games = test.wins + test.losses + test.draws;
+    const lastGames = typeof lastEntry.wins === 'number' ? lastEntry.wins + lastEntry.losses + lastEntry.draws : null;
+    const purged = lastGames !== null && games < lastGames;
+    if (purged) {
+        events.push(createTestEvent('purged', test, time, { gamesBefore: lastGames, llrBefore: lastEntry.llr ?? null }));
+    }
+
+    // A modification or a purge already explains a new LLR
+    if (!purged && sprtChanges.length === 0 && lastGames !== null && typeof lastEntry.llr === 'number' && test.llr !== null) {
+        const newGames = games - lastGames;
+        if (Math.abs(test.llr - lastEntry.llr) > LLR_JUMP_MIN + LLR_JUMP_PER_SQRT_GAME * Math.sqrt(newGames)) {
+            events.push(createTestEvent('llr-jump', test, time, { llrBefore: lastEntry.llr }));
+        }
+    }
+
+    const reachedThresholds = [...(previousTest?.reachedThresholds ?? [])];
+    const reportThreshold = (bound, threshold) => {
+        const key = `${bound}-${threshold * 100}`;
+        if (reachedThresholds.includes(key)) return;
+        reachedThresholds.push(key);
+        events.push(createTestEvent('threshold', test, time, { bound, threshold }));
+    };
+    if (typeof lastEntry.llr === 'number' && test.llr !== null) {
+        const previousFraction = getLLRFraction(lastEntry.llr, test);
+        const currentFraction = getLLRFraction(test.llr, test);
+        for (const threshold of EVENT_LLR_THRESHOLDS) {
+            if (previousFraction < threshold && currentFraction >= threshold) reportThreshold('upper', threshold);
+            if (previousFraction > -threshold && currentFraction <= -threshold) reportThreshold('lower', threshold);
+        }
+    }
+    if (reachedThresholds.length > 0) {
+        test.reachedThresholds = reachedThresholds;
+    }
+    return events;
+}
+
+async function updateHistoricalData(currentHistory, latestProcessedTests, maxPoints = DEFAULT_MAX_HISTORY_POINTS, previousTests = []) {
+    const changedTestIds = new Set();
     const activeTestIds = new Set(latestProcessedTests.map(t => t.id));
+    const previousTestsById = new Map(previousTests.map(t => [t.id, t]));
+    const events = [];
 
     // Add new points for active tests
     latestProcessedTests.forEach(test => {
         if (!currentHistory[test.id]) {
             currentHistory[test.id] = [];
-            historyChanged = true; // New test added to history
+            changedTestIds.add(test.id); // New test added to history
+            events.push(createTestEvent('started', test, test.startTime ?? Math.floor(Date.now() / 1000)));
         }
 
         const testHistory = currentHistory[test.id];
@@ -108,67 +789,526 @@ async function updateHistoricalData(currentHistory, latestProcessedTests) {
             // Use timestamp for better time representation
             time: Math.floor(Date.now() / 1000), // Unix timestamp (seconds)
             score: currentScore,
-            llr: test.llr
+            llr: test.llr,
+            wins: test.wins,
+            losses: test.losses,
+            draws: test.draws,
+            workers: test.workers
         };
 
+        // A modification can leave the results as they were, so look for events on every update
+        if (lastEntry) {
+            events.push(...detectTestEvents(lastEntry, test, newPoint.time, previousTestsById.get(test.id)));
+        }
+
         // Add point only if it differs from the last one or if history is empty
-        if (!lastEntry || lastEntry.score !== newPoint.score || lastEntry.llr !== newPoint.llr) {
+        if (!lastEntry || HISTORY_POINT_KEYS.some(key => lastEntry[key] !== newPoint[key])) {
             testHistory.push(newPoint);
-            historyChanged = true;
+            changedTestIds.add(test.id);
 
-            // Limit history size
-            if (testHistory.length > MAX_HISTORY_POINTS) {
-                testHistory.shift(); // Remove the oldest point
-                // historyChanged is already true
+            // Limit history size without losing the start of long tests
+            if (testHistory.length > maxPoints) {
+                currentHistory[test.id] = downsampleHistory(testHistory, maxPoints);
             }
         }
     });
 
-    // Cleanup history for tests that are no longer active
-    for (const testId in currentHistory) {
-        if (!activeTestIds.has(testId)) {
-            console.log(`Cleaning up historical data for ended test: ${testId}`);
-            delete currentHistory[testId];
-            historyChanged = true; // History structure changed
+    // Tests that are no longer active keep their history, they are moved to the finished archive
+    const endedTestIds = Object.keys(currentHistory).filter(testId => !activeTestIds.has(testId));
+
+    return { updatedHistory: currentHistory, changedTestIds, endedTestIds, events };
+}
+
+// Work out how a finished test ended: passed, failed, finished after playing all its games
+// (fixed-games and SPSA tests), or stopped before reaching a bound or its game limit
+function determineOutcome(runDetails, finalTest) {
+    const sprtState = runDetails?.args?.sprt?.state;
+    if (sprtState === 'accepted') return 'passed';
+    if (sprtState === 'rejected') return 'failed';
+
+    // Fall back to the last known LLR if fishtest did not report a final state
+    if (!runDetails && finalTest.llr !== null) {
+        const upperBound = finalTest.sprt?.upperBound ?? LLR_BOUND;
+        const lowerBound = finalTest.sprt?.lowerBound ?? -LLR_BOUND;
+        if (finalTest.llr >= upperBound) return 'passed';
+        if (finalTest.llr <= lowerBound) return 'failed';
+    }
+
+    const games = finalTest.wins + finalTest.losses + finalTest.draws;
+    if (finalTest.testType !== 'sprt' && finalTest.numGames && games >= finalTest.numGames) return 'finished';
+    return 'stopped';
+}
+
+async function archiveFinishedTests(finishedTests, endedTestIds, previousTests, history, apiUrl = DEFAULT_API_URL) {
+    let finishedChanged = false;
+    const archivedIds = new Set(finishedTests.map(t => t.id));
+    const previousTestsById = new Map(previousTests.map(t => [t.id, t]));
+
+    for (const testId of endedTestIds) {
+        if (archivedIds.has(testId)) continue; // Already archived on a previous run
+
+        console.log(`Archiving finished test: ${testId}`);
+        const runDetails = await fetchRunDetails(apiUrl, testId);
+        const testHistory = history[testId] || [];
+        const lastEntry = testHistory[testHistory.length - 1];
+
+        // Prefer the final state from fishtest, then the last snapshot we saved, then the last history point
+        let finalTest = previousTestsById.get(testId);
+        if (runDetails) {
+            // processRun gives null for what the run details leave out, keep the snapshot's value then
+            const details = Object.entries(processRun({ _id: testId, ...runDetails }))
+                .filter(([, value]) => value !== null);
+            finalTest = { ...finalTest, ...Object.fromEntries(details) };
         }
+        if (!finalTest) {
+            finalTest = {
+                id: testId,
+                username: 'N/A',
+                branch: 'N/A',
+                llr: lastEntry?.llr ?? null,
+                wins: 0,
+                losses: 0,
+                draws: 0,
+                pentanomial: null,
+                sprtElo0: null,
+                sprt: null,
+                startTime: null
+            };
+        }
+
+        const endTime = parseFishtestTime(runDetails?.last_updated)
+            ?? lastEntry?.time
+            ?? Math.floor(Date.now() / 1000);
+
+        finishedTests.push({
+            ...finalTest,
+            workers: 0,
+            outcome: determineOutcome(runDetails, finalTest),
+            endTime: endTime
+        });
+        finishedChanged = true;
     }
 
-    return { updatedHistory: currentHistory, historyChanged };
+    // Most recently finished first
+    finishedTests.sort((a, b) => b.endTime - a.endTime);
+    return finishedChanged;
 }
 
+// Tests of the finished archive that are active again were restarted on fishtest. They leave the
+// archive and are archived again when they end; returns the ids of the restarted tests.
+function unarchiveRestartedTests(finishedTests, activeTestIds) {
+    const restartedIds = finishedTests.filter(test => activeTestIds.has(test.id)).map(test => test.id);
+    for (const testId of restartedIds) {
+        finishedTests.splice(finishedTests.findIndex(test => test.id === testId), 1);
+    }
+    return restartedIds;
+}
+
+// Drop finished tests older than the retention window (or beyond the count limit), along with their history
+function pruneFinishedTests(finishedTests, history, activeTestIds) {
+    const now = Math.floor(Date.now() / 1000);
+    const maxAgeSeconds = FINISHED_MAX_AGE_HOURS * 3600;
+
+    const keptTests = finishedTests
+        .filter(test => now - test.endTime <= maxAgeSeconds)
+        .slice(0, FINISHED_MAX_ENTRIES);
+    const keptIds = new Set(keptTests.map(t => t.id));
+    const finishedChanged = keptTests.length !== finishedTests.length;
+
+    const removedTestIds = [];
+    for (const testId in history) {
+        if (!activeTestIds.has(testId) && !keptIds.has(testId)) {
+            console.log(`Cleaning up historical data for expired test: ${testId}`);
+            delete history[testId];
+            removedTestIds.push(testId);
+        }
+    }
+
+    return { keptTests, finishedChanged, removedTestIds };
+}
+
+
+// Keep the events that explain a chart with the test they belong to, oldest first like the history.
+// Returns the ids of the tests that got new events.
+function recordTestEvents(testEvents, newEvents) {
+    const changedTestIds = new Set();
+    for (const event of newEvents) {
+        if (!TEST_HISTORY_EVENT_TYPES.includes(event.type)) continue;
+        const events = testEvents[event.testId] ?? [];
+        if (events.some(known => known.id === event.id)) continue;
+
+        testEvents[event.testId] = [...events, event]
+            .sort((a, b) => a.time - b.time)
+            .slice(-TEST_EVENTS_MAX_ENTRIES);
+        changedTestIds.add(event.testId);
+    }
+    return changedTestIds;
+}
+
+// Add the new events to the stored ones, newest first, and drop old ones
+function mergeEvents(previousEvents, newEvents) {
+    const now = Math.floor(Date.now() / 1000);
+    const maxAgeSeconds = EVENTS_MAX_AGE_HOURS * 3600;
+    const eventKey = (event) => `${event.testId}:${event.id}`;
+    const knownKeys = new Set(previousEvents.map(eventKey));
+
+    const events = [...previousEvents, ...newEvents.filter(event => !knownKeys.has(eventKey(event)))]
+        .filter(event => now - event.time <= maxAgeSeconds)
+        .sort((a, b) => b.time - a.time)
+        .slice(0, EVENTS_MAX_ENTRIES);
+    const eventsChanged = JSON.stringify(events) !== JSON.stringify(previousEvents);
+    return { events, eventsChanged };
+}
+
+// Write the Atom and JSON feeds of all events, and with userFeeds one pair per user with events or
+// active tests (the page links to the feeds of those), deleting the feeds of other users
+// An empty feed keeps the date of the file it replaces, so it is only rewritten when it changes
+async function saveAtomFeed(output, filePath, events, { apiUrl, username = null }) {
+    const lastUpdate = events.length === 0 ? getAtomFeedUpdated(await readTextOrUndefined(filePath)) : undefined;
+    await output.saveText(filePath, buildAtomFeed(events, { apiUrl, username, lastUpdate }));
+}
 
-// Main Execution Logic
-async function main() {
+async function saveFeeds(output, paths, events, { apiUrl, userFeeds, activeUsernames = [] }) {
+    await saveAtomFeed(output, paths.atomFeed, events, { apiUrl });
+    await output.save(paths.jsonFeed, buildJsonFeed(events, { apiUrl }));
+
+    const existingFiles = await readdir(paths.userFeedsDir).catch(error => {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    });
+    const writtenFiles = new Set();
+    if (userFeeds) {
+        const eventsByUser = new Map(activeUsernames.map(username => [username, []]));
+        for (const event of events) {
+            if (!eventsByUser.has(event.username)) eventsByUser.set(event.username, []);
+            eventsByUser.get(event.username).push(event);
+        }
+        const usernamesByFeedName = new Map();
+        for (const [username, userEvents] of eventsByUser) {
+            const feedName = getUserFeedName(username);
+            if (usernamesByFeedName.has(feedName)) {
+                console.warn(`Skipping the feeds of ${username}: ${feedName} already holds the feeds of ${usernamesByFeedName.get(feedName)}`);
+                continue;
+            }
+            usernamesByFeedName.set(feedName, username);
+            await saveAtomFeed(output, path.join(paths.userFeedsDir, `${feedName}.xml`), userEvents, { apiUrl, username });
+            await output.save(path.join(paths.userFeedsDir, `${feedName}.json`), buildJsonFeed(userEvents, { apiUrl, username }));
+            writtenFiles.add(`${feedName}.xml`).add(`${feedName}.json`);
+        }
+    }
+    for (const fileName of existingFiles) {
+        if (!writtenFiles.has(fileName)) {
+            await output.remove(path.join(paths.userFeedsDir, fileName));
+        }
+    }
+}
+
+// One update of the data files
+async function runUpdate({
+    apiUrl = DEFAULT_API_URL,
+    outDir = process.cwd(),
+    maxPoints = DEFAULT_MAX_HISTORY_POINTS,
+    dryRun = false,
+    force = FORCE_UPDATE,
+    userFeeds = false
+} = {}) {
     console.log("Starting data update process...");
+    const paths = getDataPaths(outDir);
+    const output = createOutput({ dryRun });
+    if (!dryRun) {
+        await removeStaleTempFiles(paths);
+    }
 
-    // 1. Load existing historical data (or default to empty object)
-    const currentHistory = await loadJson(HISTORY_DATA_PATH, {});
+    // 1. Load existing data (or default to empty)
+    const { history: currentHistory, testEvents, manifest: previousManifest, migrated } = await loadHistory(paths);
+    const previousTests = await loadJson(paths.latestData, []);
+    const currentFinished = await loadJson(paths.finishedData, []);
+    const previousEvents = await loadJson(paths.events, []);
 
     // 2. Fetch new data from Fishtest API
-    const rawData = await fetchFishtestData();
+    const rawData = await fetchFishtestData(apiUrl);
 
-    // 3. Process the new data (this includes sorting)
-    const latestProcessedTests = processRawData(rawData);
+    // 3. Process the new data (this includes validation and sorting)
+    const { processedTests: latestProcessedTests, skippedCount } = processRawData(rawData);
     console.log(`Fetched and processed ${latestProcessedTests.length} active tests.`);
 
+    // A broken API response must not wipe out weeks of history
+    const sanityProblem = checkSanity(previousTests, latestProcessedTests, skippedCount);
+    if (sanityProblem && !force) {
+        throw new Error(`Refusing to update the data files: ${sanityProblem}. Set FORCE_UPDATE=1 or pass --force to update anyway.`);
+    }
+    if (sanityProblem) {
+        console.warn(`Sanity check failed (${sanityProblem}), updating anyway because the update is forced.`);
+    }
+
     // 4. Update historical data
-    const { updatedHistory, historyChanged } = await updateHistoricalData(currentHistory, latestProcessedTests);
+    const { updatedHistory, changedTestIds, endedTestIds, events: newEvents } = await updateHistoricalData(currentHistory, latestProcessedTests, maxPoints, previousTests);
+
+    // 5. Take restarted tests out of the finished archive, move ended tests into it and apply the retention limits
+    const activeTestIds = new Set(latestProcessedTests.map(t => t.id));
+    const restartedIds = unarchiveRestartedTests(currentFinished, activeTestIds);
+    latestProcessedTests
+        .filter(test => restartedIds.includes(test.id))
+        .forEach(test => newEvents.push(createTestEvent('restarted', test, Math.floor(Date.now() / 1000))));
+    const previouslyArchivedIds = new Set(currentFinished.map(t => t.id));
+    const archived = await archiveFinishedTests(currentFinished, endedTestIds, previousTests, updatedHistory, apiUrl);
+    currentFinished
+        .filter(test => !previouslyArchivedIds.has(test.id))
+        .forEach(test => newEvents.push(createTestEvent('finished', test, test.endTime, { outcome: test.outcome })));
+    const pruned = pruneFinishedTests(currentFinished, updatedHistory, activeTestIds);
+    pruned.removedTestIds.forEach(testId => delete testEvents[testId]);
 
-    // 5. Save the latest processed data (always save this)
-    await saveJson(LATEST_DATA_PATH, latestProcessedTests);
+    // 6. Save the latest processed data (always save this)
+    await output.save(paths.latestData, latestProcessedTests);
 
-    // 6. Save the historical data ONLY if it changed
-    if (historyChanged) {
-        await saveJson(HISTORY_DATA_PATH, updatedHistory);
+    // 7. Save the history and event files of tests that changed, and the manifest
+    if (migrated) {
+        // Every test needs its own file the first time
+        Object.keys(updatedHistory).forEach(testId => changedTestIds.add(testId));
+    }
+    const changedEventTestIds = recordTestEvents(testEvents, newEvents);
+    await saveHistory(output, paths, updatedHistory, testEvents, previousManifest, {
+        changedTestIds,
+        changedEventTestIds,
+        removedTestIds: pruned.removedTestIds
+    });
+    if (migrated) {
+        await output.remove(paths.legacyHistory);
+        console.log(`Removed ${paths.legacyHistory} after migrating it.`);
+    }
+
+    // 8. Save the finished tests ONLY if they changed
+    if (archived || pruned.finishedChanged || restartedIds.length > 0) {
+        await output.save(paths.finishedData, pruned.keptTests);
     } else {
-        console.log("Historical data unchanged, skipping save.");
+        console.log("Finished tests unchanged, skipping save.");
     }
 
+    // 9. Record the events and regenerate the feeds when they changed (or don't exist yet)
+    const { events, eventsChanged } = mergeEvents(previousEvents, newEvents);
+    const activeUsernames = [...new Set(latestProcessedTests.map(test => test.username))];
+    const feedsMissing = (await readTextOrUndefined(paths.atomFeed)) === undefined
+        || (userFeeds && (await readdir(paths.userFeedsDir).catch(() => [])).length === 0
+            && (events.length > 0 || activeUsernames.length > 0));
+    if (eventsChanged || feedsMissing) {
+        await output.save(paths.events, events);
+        await saveFeeds(output, paths, events, { apiUrl, userFeeds, activeUsernames });
+    } else {
+        console.log("Events unchanged, skipping feeds.");
+    }
+
+    if (dryRun) {
+        printDryRunDiff(output.changes, outDir);
+    }
     console.log("Data update process finished.");
 }
 
-// Run the main function and handle potential top-level errors
-main().catch(error => {
-    console.error("Critical error during script execution:", error);
-    process.exit(1); // Exit with error code
-});
+// Update every intervalSeconds until the process is stopped. A failed update is logged and retried
+// on the next round, like a failed run of the scheduled Action.
+async function watchUpdates(options, intervalSeconds) {
+    for (;;) {
+        try {
+            await runUpdate(options);
+        } catch (error) {
+            console.error("Update failed:", error);
+        }
+        console.log(`Next update in ${intervalSeconds}s.`);
+        await sleep(intervalSeconds * 1000);
+    }
+}
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+// File of an allowed request path: the page files from the repo, the data files and the history
+// and feed directories from outDir. Anything else, dot-paths included, gets null.
+function resolveServedFile(requestPath, outDir) {
+    const segments = requestPath.split('/').filter(segment => segment !== '');
+    if (segments.length === 0 || segments.some(segment => segment.startsWith('.'))) return null;
+
+    const paths = getDataPaths(outDir);
+    const dataFiles = getDataFileNames(paths);
+    const dataDirs = [paths.historyDir, paths.userFeedsDir].map(dirPath => path.basename(dirPath));
+
+    const [first] = segments;
+    let root = null;
+    if (segments.length === 1 && SITE_FILES.includes(first)) root = SITE_DIR;
+    if (segments.length > 1 && SITE_DIRS.includes(first)) root = SITE_DIR;
+    if (segments.length === 1 && dataFiles.includes(first)) root = outDir;
+    if (segments.length > 1 && dataDirs.includes(first)) root = outDir;
+    if (root === null) return null;
+
+    const filePath = path.join(root, ...segments);
+    return filePath.startsWith(root + path.sep) ? filePath : null;
+}
+
+// Host the tracker page from the repo and the data files from outDir
+function startServer({ outDir = process.cwd(), port = DEFAULT_SERVE_PORT, host = DEFAULT_SERVE_HOST } = {}) {
+    const dataDir = path.resolve(outDir);
+
+    const server = createServer(async (request, response) => {
+        let requestPath;
+        try {
+            requestPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+        } catch {
+            response.writeHead(400).end('Bad request');
+            return;
+        }
+        if (requestPath.endsWith('/')) requestPath += 'index.html';
+
+        const filePath = resolveServedFile(requestPath, dataDir);
+        if (!filePath) {
+            response.writeHead(404).end('Not found');
+            return;
+        }
+        try {
+            const content = await readFile(filePath);
+            response.writeHead(200, {
+                'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+                'Cache-Control': 'no-cache'
+            });
+            response.end(content);
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+                response.writeHead(404).end('Not found');
+                return;
+            }
+            console.error(`Error serving ${filePath}:`, error);
+            response.writeHead(500).end('Internal server error');
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            console.log(`Serving the tracker at http://${host}:${server.address().port}/`);
+            resolve(server);
+        });
+    });
+}
+
+function parsePositiveNumber(value, optionName, { integer = false } = {}) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0 || (integer && !Number.isInteger(number))) {
+        throw new Error(`${optionName} must be a positive ${integer ? 'integer' : 'number'}, got: ${value}`);
+    }
+    return number;
+}
+
+// Turn the command line arguments into the options of runUpdate, watchUpdates and startServer
+function parseCliArgs(args) {
+    const { values } = parseArgs({
+        args,
+        options: {
+            'api-url': { type: 'string' },
+            'out-dir': { type: 'string' },
+            'max-points': { type: 'string' },
+            'once': { type: 'boolean' },
+            'watch': { type: 'boolean' },
+            'interval': { type: 'string' },
+            'dry-run': { type: 'boolean' },
+            'force': { type: 'boolean' },
+            'user-feeds': { type: 'boolean' },
+            'serve': { type: 'boolean' },
+            'port': { type: 'string' },
+            'host': { type: 'string' },
+            'help': { type: 'boolean', short: 'h' }
+        }
+    });
+
+    if (values.once && values.watch) {
+        throw new Error('--once and --watch cannot be used together');
+    }
+    const maxPoints = values['max-points'] !== undefined
+        ? parsePositiveNumber(values['max-points'], '--max-points', { integer: true })
+        : DEFAULT_MAX_HISTORY_POINTS;
+    if (maxPoints < MIN_HISTORY_POINTS) {
+        throw new Error(`--max-points must be at least ${MIN_HISTORY_POINTS}`);
+    }
+
+    return {
+        help: values.help ?? false,
+        update: {
+            apiUrl: (values['api-url'] ?? DEFAULT_API_URL).replace(/\/+$/, ''),
+            outDir: path.resolve(values['out-dir'] ?? process.cwd()),
+            maxPoints: maxPoints,
+            dryRun: values['dry-run'] ?? false,
+            force: (values.force ?? false) || FORCE_UPDATE,
+            userFeeds: values['user-feeds'] ?? false
+        },
+        // Serving alone doesn't update, otherwise a single update is the default
+        mode: values.watch ? 'watch' : (values.once || !values.serve ? 'once' : null),
+        interval: values.interval !== undefined
+            ? parsePositiveNumber(values.interval, '--interval')
+            : DEFAULT_WATCH_INTERVAL_SECONDS,
+        serve: values.serve ?? false,
+        port: values.port !== undefined
+            ? parsePositiveNumber(values.port, '--port', { integer: true })
+            : DEFAULT_SERVE_PORT,
+        host: values.host ?? DEFAULT_SERVE_HOST
+    };
+}
+
+async function main(args) {
+    let options;
+    try {
+        options = parseCliArgs(args);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (options.serve) {
+        await startServer({ outDir: options.update.outDir, port: options.port, host: options.host });
+    }
+    if (options.mode === 'watch') {
+        await watchUpdates(options.update, options.interval);
+    } else if (options.mode === 'once') {
+        await runUpdate(options.update);
+    }
+}
+
+export {
+    parseFishtestTime,
+    processSprt,
+    processRun,
+    validateRun,
+    processRawData,
+    checkSanity,
+    detectTestEvents,
+    recordTestEvents,
+    mergeEvents,
+    computeRecentGamesPerHour,
+    buildHistoryManifest,
+    downsampleHistory,
+    updateHistoricalData,
+    determineOutcome,
+    archiveFinishedTests,
+    unarchiveRestartedTests,
+    pruneFinishedTests,
+    getDataPaths,
+    runUpdate,
+    watchUpdates,
+    startServer,
+    parseCliArgs
+};
+
+// Only run when executed directly, not when imported
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error("Critical error during script execution:", error);
+        process.exit(1); // Exit with error code
+    });
+}
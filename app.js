@@ -1,29 +1,88 @@
 // URLs for the data files generated by the GitHub Action
-// Add a cache-busting query parameter using the current time (simple approach)
+// The loaders add a cache-busting query parameter to each request
 // This helps ensure the browser fetches the latest version after the Action updates the files.
-const LATEST_DATA_URL = `./latest_data.json?v=${Date.now()}`;
-const HISTORY_DATA_URL = `./historical_data.json?v=${Date.now()}`;
+const LATEST_DATA_URL = './latest_data.json';
+const HISTORY_MANIFEST_URL = './history/manifest.json';
+const FINISHED_DATA_URL = './finished_data.json';
+const HISTORY_DIR_URL = './history'; // History and events of each test, history/<id>.json
 
 const filterInput = document.getElementById('filterInput');
+const filterError = document.getElementById('filterError');
+const testsTableHead = document.querySelector('#testsTable thead');
 const testsTableBody = document.querySelector('#testsTable tbody');
+const testsTableColumnCount = document.querySelectorAll('#testsTable thead th').length;
+const finishedTableBody = document.querySelector('#finishedTable tbody');
+const finishedTableColumnCount = document.querySelectorAll('#finishedTable thead th').length;
+const summaryPanel = document.getElementById('summaryPanel');
+const fleetSummary = document.getElementById('fleetSummary');
+const userSummaryTableBody = document.querySelector('#userSummaryTable tbody');
 const chartContainer = document.getElementById('chartContainer');
 const chartTitle = document.getElementById('chartTitle');
 const progressChartCanvas = document.getElementById('progressChart');
-const toggleScoreButton = document.getElementById('toggleScore');
-const toggleLLRButton = document.getElementById('toggleLLR');
+const chartMetricButtons = document.querySelectorAll('.chart-controls [data-metric]');
+const xAxisModeSelect = document.getElementById('xAxisMode');
+const chartRangeButtons = document.querySelectorAll('.chart-range-controls [data-range]');
+const downloadHistoryCsvButton = document.getElementById('downloadHistoryCsv');
+const downloadHistoryJsonButton = document.getElementById('downloadHistoryJson');
+const downloadChartPngButton = document.getElementById('downloadChartPng');
+const exportTableCsvButton = document.getElementById('exportTableCsv');
 const testEndedMessage = document.getElementById('testEndedMessage');
+const chartEvents = document.getElementById('chartEvents');
+const chartEventList = document.getElementById('chartEventList');
 const lastUpdateTimeElement = document.getElementById('lastUpdateTime');
+const cachedDataBanner = document.getElementById('cachedDataBanner');
+const autoRefreshToggle = document.getElementById('autoRefreshToggle');
+const themeSelect = document.getElementById('themeSelect');
+const followUserForm = document.getElementById('followUserForm');
+const followUserInput = document.getElementById('followUserInput');
+const followedUsersList = document.getElementById('followedUsersList');
+const notifyEnabledCheckbox = document.getElementById('notifyEnabled');
+const notifyThresholdSelect = document.getElementById('notifyThreshold');
+const notifyOnThresholdCheckbox = document.getElementById('notifyOnThreshold');
+const notifyOnPauseCheckbox = document.getElementById('notifyOnPause');
+const notifyOnFinishCheckbox = document.getElementById('notifyOnFinish');
+const notificationStatus = document.getElementById('notificationStatus');
 
 let allTestsData = []; // Populated from latest_data.json
-let historicalData = {}; // Populated from historical_data.json
+let finishedTestsData = []; // Populated from finished_data.json
+let historyManifest = {}; // Populated from history/manifest.json
+let historicalData = {}; // Histories of single tests, loaded on demand from history/<id>.json
+let testEvents = {}; // Pauses, purges, modifications... of single tests, loaded with their history from history/<id>.events.json
+const historyRequests = new Map(); // "<id>@<version>" -> Promise of the history file, so each version is fetched once
 let currentChart = null;
 let currentTrackingTestId = null; // Track which chart is visible
 let currentTrackingBranchName = null;
+let comparedTestIds = []; // Other tests overlaid on the chart
 let currentVisibleMetric = 'llr';
+let currentXAxisMode = 'time';
+let currentRangePreset = 'all'; // Visible part of the x-axis, 'custom' after zooming or panning by hand
+let currentFilteredTests = []; // Active tests matching the filter, in table order, for the CSV export
+let currentSort = null; // Restored from localStorage in initializeApp
+let autoRefreshTimer = null; // null while auto-refresh is paused
+let lastRefreshFailed = false; // The last background refresh failed, the data shown is older
+let recentChanges = new Map(); // Test ID -> 'new', 'llr-up', 'llr-down' or 'finished', from the last data update
+let recentChangesTime = 0;
+const expandedTestIds = new Set(); // Tests whose detail panel is open, in either table
+let focusedTestId = null; // Row that takes the keyboard focus in the tables, kept across re-renders
+
+const LLR_BOUND = 2.94443897916644; // Default SPRT bound (alpha = beta = 0.05), for tests without their own
+
+const OUTCOME_LABELS = {
+    passed: 'Passed',
+    failed: 'Failed',
+    finished: 'Finished',
+    stopped: 'Stopped'
+};
+
+// LLR bounds of a test, falling back to the default bounds for tests without SPRT parameters
+function getLLRBounds(test) {
+    return {
+        lower: test?.sprt?.lowerBound ?? -LLR_BOUND,
+        upper: test?.sprt?.upperBound ?? LLR_BOUND
+    };
+}
 
-const LLR_BOUND = 2.94443897916644;
-
-function formatLLR(llrValue) {
+function formatLLR(llrValue, bounds = getLLRBounds(null)) {
     if (llrValue === null || typeof llrValue === 'undefined') {
         return 'N/A';
     }
@@ -31,15 +90,167 @@ function formatLLR(llrValue) {
     // Round LLR to 2 decimal places, always show 2 decimals
     const formattedLLR = llrValue.toFixed(2);
 
-    // Calculate percentage
-    let percentage = (llrValue / LLR_BOUND) * 100;
-    // Clamp percentage between -100% and 100%
-    percentage = Math.max(-100, Math.min(100, percentage));
-    const roundedPercentage = Math.round(percentage);
+    const roundedPercentage = Math.round(getLLRPercentage(llrValue, bounds));
 
     return `${formattedLLR} (${roundedPercentage}%)`;
 }
 
+// Percentage of the bound the LLR is heading to, negative towards the lower bound
+function getLLRPercentage(llrValue, bounds) {
+    const bound = llrValue >= 0 ? bounds.upper : -bounds.lower;
+    const percentage = (llrValue / bound) * 100;
+    // Clamp percentage between -100% and 100%
+    return Math.max(-100, Math.min(100, percentage));
+}
+
+// --- Elo estimates ---
+const CONFIDENCE_Z_95 = 1.959963984540054; // Two-sided 95% quantile of the normal distribution
+const NELO_DIVIDED_BY_NT = 800 / Math.log(10); // Scales a per-game t-value to normalized Elo
+
+function scoreToElo(score) {
+    return -400 * Math.log10(1 / score - 1);
+}
+
+// Elo, normalized Elo and their 95% confidence intervals from the frequencies of the
+// 2n+1 possible outcomes of n games: [L, D, W] or the pentanomial game pair counts
+function computeEloStats(results) {
+    if (results.reduce((sum, n) => sum + n, 0) === 0) return null;
+
+    // Regularize empty bins like fishtest does, so the variance is never zero
+    const counts = results.map(n => Math.max(n, 1e-3));
+    const total = counts.reduce((sum, n) => sum + n, 0);
+    const gamesPerSample = (counts.length - 1) / 2;
+
+    let mean = 0;
+    counts.forEach((n, i) => { mean += (n / total) * (i / (counts.length - 1)); });
+    let variance = 0;
+    counts.forEach((n, i) => { variance += (n / total) * (i / (counts.length - 1) - mean) ** 2; });
+
+    const meanError = CONFIDENCE_Z_95 * Math.sqrt(variance / total);
+    const eloMin = scoreToElo(mean - meanError);
+    const eloMax = scoreToElo(mean + meanError);
+
+    // Normalized Elo uses the per-game standard deviation
+    const gameSigma = Math.sqrt(variance * gamesPerSample);
+    const nElo = NELO_DIVIDED_BY_NT * (mean - 0.5) / gameSigma;
+    const nEloError = NELO_DIVIDED_BY_NT * meanError / gameSigma;
+
+    return {
+        score: mean,
+        gameVariance: variance * gamesPerSample,
+        elo: scoreToElo(mean),
+        eloError: (eloMax - eloMin) / 2,
+        eloMin: eloMin,
+        eloMax: eloMax,
+        nElo: nElo,
+        nEloError: nEloError
+    };
+}
+
+// Prefer the pentanomial results, fall back to W/L/D for tests without them
+function getTestEloStats(test) {
+    if (Array.isArray(test.pentanomial) && test.pentanomial.some(n => n > 0)) {
+        return computeEloStats(test.pentanomial);
+    }
+    return computeEloStats([test.losses || 0, test.draws || 0, test.wins || 0]);
+}
+
+// SPRT Elo bounds as shown in the table, e.g. "[0.00, 2.00]"
+function formatSprtBounds(sprt) {
+    if (!sprt || sprt.elo0 === null || sprt.elo1 === null) {
+        return 'N/A';
+    }
+    return `[${sprt.elo0.toFixed(2)}, ${sprt.elo1.toFixed(2)}]`;
+}
+
+function formatEloValue(value, error) {
+    return `${value.toFixed(2)} ± ${error.toFixed(2)}`;
+}
+
+// --- SPRT projections ---
+// Expected score at the given Elo under the Elo model of the SPRT
+function eloToScore(elo, model, gameVariance) {
+    if (model === 'normalized') {
+        return 0.5 + (elo / NELO_DIVIDED_BY_NT) * Math.sqrt(gameVariance);
+    }
+    return 1 / (1 + Math.pow(10, -elo / 400)); // Logistic, also used to approximate older models
+}
+
+// Games per second over the recent history, as measured by the fetcher for the manifest,
+// or on average since the test started when the history has no game counts yet
+function getGamesPerSecond(test) {
+    const recentGamesPerHour = historyManifest[test.id]?.gamesPerHour;
+    if (recentGamesPerHour) {
+        return recentGamesPerHour / 3600;
+    }
+
+    const elapsedSeconds = test.startTime ? Math.floor(Date.now() / 1000) - test.startTime : 0;
+    return elapsedSeconds > 0 ? getTotalGames(test) / elapsedSeconds : 0;
+}
+
+// Treat the LLR as a Brownian motion in games: the drift is the average LLR gain per game so far,
+// the variance per game follows from the SPRT bounds. From that we get the probability of reaching
+// the upper bound first, the expected number of games left and, using the game throughput, the time left.
+function computeSprtProjection(test) {
+    if (!test.sprt || test.llr === null || test.sprt.elo0 === null || test.sprt.elo1 === null) {
+        return null;
+    }
+    const stats = getTestEloStats(test);
+    const games = getTotalGames(test);
+    if (!stats || games === 0) return null;
+
+    const { lower, upper } = getLLRBounds(test);
+    if (test.llr >= upper) return { passProbability: 1, remainingGames: 0, remainingSeconds: 0 };
+    if (test.llr <= lower) return { passProbability: 0, remainingGames: 0, remainingSeconds: 0 };
+
+    const score0 = eloToScore(test.sprt.elo0, test.sprt.model, stats.gameVariance);
+    const score1 = eloToScore(test.sprt.elo1, test.sprt.model, stats.gameVariance);
+    const variance = (score1 - score0) ** 2 / stats.gameVariance;
+    const drift = test.llr / games;
+
+    const width = upper - lower;
+    const distance = test.llr - lower;
+    let passProbability;
+    let remainingGames;
+    if (Math.abs(drift) < 1e-12) {
+        passProbability = distance / width;
+        remainingGames = distance * (upper - test.llr) / variance;
+    } else {
+        // Written so that the exponentials never overflow, whatever the sign of the drift
+        const k = 2 * drift / variance;
+        passProbability = k > 0
+            ? (1 - Math.exp(-k * distance)) / (1 - Math.exp(-k * width))
+            : (Math.exp(k * width) - Math.exp(k * (width - distance))) / (Math.exp(k * width) - 1);
+        remainingGames = (lower + passProbability * width - test.llr) / drift;
+    }
+
+    // Unknown while the test is paused
+    let remainingSeconds = null;
+    const gamesPerSecond = getGamesPerSecond(test);
+    if (test.workers > 0 && gamesPerSecond > 0) {
+        remainingSeconds = remainingGames / gamesPerSecond;
+    }
+
+    return { passProbability, remainingGames, remainingSeconds };
+}
+
+function formatDuration(totalSeconds) {
+    const totalMinutes = Math.round(totalSeconds / 60);
+    if (totalMinutes < 1) return '<1m';
+    if (totalMinutes < 60) return `${totalMinutes}m`;
+
+    const hours = Math.floor(totalMinutes / 60);
+    if (hours < 24) return `${hours}h ${totalMinutes % 60}m`;
+
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function formatProjection(projection) {
+    if (!projection) return 'N/A';
+    const eta = projection.remainingSeconds !== null ? `~${formatDuration(projection.remainingSeconds)}` : 'paused';
+    return `${eta} / ${Math.round(projection.passProbability * 100)}%`;
+}
+
 // --- Utility function to format time ago ---
 function formatTimeAgo(timestampSeconds) {
     if (!timestampSeconds) return "N/A";
@@ -60,17 +271,14 @@ function formatTimeAgo(timestampSeconds) {
     return `${diffDays} day(s) ago`;
 }
 
-// --- Find the latest update time from historical data ---
-function getLatestUpdateTime(history) {
+// --- Find the latest update time from the history manifest ---
+function getLatestUpdateTime(manifest) {
     let latestTime = 0;
-    if (history && typeof history === 'object') {
-        for (const testId in history) {
-            const testEntries = history[testId];
-            if (Array.isArray(testEntries) && testEntries.length > 0) {
-                const lastEntry = testEntries[testEntries.length - 1];
-                if (lastEntry && typeof lastEntry.time === 'number' && lastEntry.time > latestTime) {
-                    latestTime = lastEntry.time;
-                }
+    if (manifest && typeof manifest === 'object') {
+        for (const testId in manifest) {
+            const lastUpdate = manifest[testId]?.lastUpdate;
+            if (typeof lastUpdate === 'number' && lastUpdate > latestTime) {
+                latestTime = lastUpdate;
             }
         }
     }
@@ -79,77 +287,475 @@ function getLatestUpdateTime(history) {
 
 // --- Update the display for "Last updated" ---
 function displayLastUpdateTime() {
-    const latestTimestamp = getLatestUpdateTime(historicalData);
-    if (latestTimestamp) {
-        lastUpdateTimeElement.textContent = `Last update: ${formatTimeAgo(latestTimestamp)}`;
-    } else {
-        lastUpdateTimeElement.textContent = 'Last update: N/A (or still loading)';
-    }
+    const latestTimestamp = getLatestUpdateTime(historyManifest);
+    const text = latestTimestamp
+        ? `Last update: ${formatTimeAgo(latestTimestamp)}`
+        : 'Last update: N/A (or still loading)';
+    lastUpdateTimeElement.textContent = lastRefreshFailed ? `${text} (refresh failed, retrying)` : text;
+}
+
+// --- Offline banner ---
+// Set by sw.js on data it served from its cache because the network failed
+const CACHED_RESPONSE_HEADER = 'X-Served-From-Cache';
+
+function isCachedResponse(response) {
+    return response.headers.get(CACHED_RESPONSE_HEADER) === '1';
+}
+
+function showCachedDataBanner(isShowingCachedData) {
+    cachedDataBanner.hidden = !isShowingCachedData;
+    if (!isShowingCachedData) return;
+
+    const latestTimestamp = getLatestUpdateTime(historyManifest);
+    cachedDataBanner.textContent = latestTimestamp
+        ? `Offline: showing cached data from ${new Date(latestTimestamp * 1000).toLocaleString()} (${formatTimeAgo(latestTimestamp)}).`
+        : 'Offline: showing cached data.';
 }
 
 // --- Data Fetching ---
-async function loadDataFromFiles() {
+// With keepDataOnError, a failed (background) load leaves the data already shown in place
+async function loadDataFromFiles({ keepDataOnError = false } = {}) {
     try {
         // Add cache-busting query parameters
         const cacheBuster = `?v=${Date.now()}`;
-        const [latestResponse, historyResponse] = await Promise.all([
-            fetch(`./latest_data.json${cacheBuster}`),
-            fetch(`./historical_data.json${cacheBuster}`)
+        const [latestResponse, manifestResponse, finishedResponse] = await Promise.all([
+            fetch(`${LATEST_DATA_URL}${cacheBuster}`),
+            fetch(`${HISTORY_MANIFEST_URL}${cacheBuster}`),
+            fetch(`${FINISHED_DATA_URL}${cacheBuster}`)
         ]);
 
         if (!latestResponse.ok) {
             throw new Error(`Failed to load latest_data.json: ${latestResponse.statusText}`);
         }
-         // History file might not exist initially, treat 404 as empty history
-        if (!historyResponse.ok && historyResponse.status !== 404) {
-             throw new Error(`Failed to load historical_data.json: ${historyResponse.statusText}`);
+         // History manifest might not exist initially, treat 404 as empty history
+        if (!manifestResponse.ok && manifestResponse.status !== 404) {
+             throw new Error(`Failed to load history/manifest.json: ${manifestResponse.statusText}`);
+        }
+        // Same for the finished tests archive
+        if (!finishedResponse.ok && finishedResponse.status !== 404) {
+            throw new Error(`Failed to load finished_data.json: ${finishedResponse.statusText}`);
         }
 
 
         allTestsData = await latestResponse.json();
-        historicalData = historyResponse.ok ? await historyResponse.json() : {}; // Handle 404 for history
+        historyManifest = manifestResponse.ok ? await manifestResponse.json() : {}; // Handle 404 for history
+        finishedTestsData = finishedResponse.ok ? await finishedResponse.json() : [];
 
-        console.log("Successfully loaded data from local JSON files.");
+        if (!keepDataOnError) {
+            console.log("Successfully loaded data from local JSON files."); // Only once, not on every refresh
+        }
+        lastRefreshFailed = false;
         displayLastUpdateTime();
+        showCachedDataBanner([latestResponse, manifestResponse, finishedResponse].some(isCachedResponse));
+        return true;
 
     } catch (error) {
         console.error("Error loading data from JSON files:", error);
-        testsTableBody.innerHTML = `<tr><td colspan="5" style="text-align:center; color:red;">Error loading test data. Check console or wait for data generation.</td></tr>`;
+        if (keepDataOnError) {
+            lastRefreshFailed = true;
+            displayLastUpdateTime();
+            return false;
+        }
+        testsTableBody.innerHTML = `<tr><td colspan="${testsTableColumnCount}" class="error-text" style="text-align:center;">Error loading test data. Check console or wait for data generation.</td></tr>`;
         allTestsData = []; // Ensure table shows error state
-        historicalData = {};
+        historyManifest = {};
+        finishedTestsData = [];
         lastUpdateTimeElement.textContent = 'Last update: Error loading'; // Update status
+        return false;
+    }
+}
+
+// --- Auto-refresh ---
+const AUTO_REFRESH_INTERVAL_MS = 60000; // The Action updates the data every 5 minutes
+const CHANGE_FLASH_MS = 5000; // How long a changed LLR stays highlighted
+
+// Compare freshly loaded data with what was shown before, to mark new, moved and finished tests
+function detectChanges(previousTests, previousFinishedTests) {
+    const previousTestsById = new Map(previousTests.map(test => [test.id, test]));
+    const previousFinishedIds = new Set(previousFinishedTests.map(test => test.id));
+
+    recentChanges = new Map();
+    recentChangesTime = Date.now();
+    allTestsData.forEach(test => {
+        const previousTest = previousTestsById.get(test.id);
+        if (!previousTest) {
+            recentChanges.set(test.id, 'new');
+        } else if (test.llr !== null && previousTest.llr !== null && test.llr !== previousTest.llr) {
+            recentChanges.set(test.id, test.llr > previousTest.llr ? 'llr-up' : 'llr-down');
+        }
+    });
+    finishedTestsData.forEach(test => {
+        if (!previousFinishedIds.has(test.id)) {
+            recentChanges.set(test.id, 'finished');
+        }
+    });
+}
+
+async function refreshData() {
+    const previousTests = allTestsData;
+    const previousFinishedTests = finishedTestsData;
+    const previousSnapshot = JSON.stringify([allTestsData, finishedTestsData]);
+
+    const loaded = await loadDataFromFiles({ keepDataOnError: true });
+    if (!loaded) return;
+
+    // Most refreshes find the files unchanged, keep the marks of the last real update until the next one
+    if (JSON.stringify([allTestsData, finishedTestsData]) === previousSnapshot) return;
+
+    detectChanges(previousTests, previousFinishedTests);
+    checkWatchlistAlerts(previousTests);
+    pruneWatchlist();
+    filterAndRenderTable();
+    loadAndUpdateChartData(); // New points are added to the open chart, which is not rebuilt
+}
+
+function startAutoRefresh() {
+    autoRefreshTimer = setInterval(refreshData, AUTO_REFRESH_INTERVAL_MS);
+    autoRefreshToggle.textContent = 'Pause auto-refresh';
+    autoRefreshToggle.setAttribute('aria-pressed', 'false');
+}
+
+function stopAutoRefresh() {
+    clearInterval(autoRefreshTimer);
+    autoRefreshTimer = null;
+    autoRefreshToggle.textContent = 'Resume auto-refresh';
+    autoRefreshToggle.setAttribute('aria-pressed', 'true');
+}
+
+function toggleAutoRefresh() {
+    if (autoRefreshTimer) {
+        stopAutoRefresh();
+    } else {
+        startAutoRefresh();
+        refreshData(); // Catch up right away
     }
 }
 
 
 // --- Table Rendering ---
-function renderTable(testsToRender) {
-    testsTableBody.innerHTML = ''; // Clear existing rows
+function getTotalGames(test) {
+    return (test.wins || 0) + (test.losses || 0) + (test.draws || 0);
+}
+
+function getScorePercentage(test) {
+    return ((test.wins || 0) + (test.draws || 0) / 2) / getTotalGames(test) * 100 || 0;
+}
+
+function formatGamesAndScore(test) {
+    // Format score to 2 decimal places
+    const score = getScorePercentage(test).toFixed(2);
+
+    return `${getTotalGames(test)} (${score}%)`;
+}
+
+// Share of num_games played by tests without an SPRT, null for SPRT tests and older data
+function getFixedGamesProgress(test) {
+    if (test.llr !== null || !test.numGames) return null;
+    return Math.min(100, getTotalGames(test) / test.numGames * 100);
+}
+
+// The LLR of SPRT tests, the progress towards num_games of the others
+function formatLLROrProgress(test) {
+    const progress = getFixedGamesProgress(test);
+    if (progress === null) {
+        return formatLLR(test.llr, getLLRBounds(test));
+    }
+    return `${Math.round(progress)}% of ${test.numGames.toLocaleString()} games`;
+}
+
+const TEST_TYPE_LABELS = {
+    spsa: 'SPSA',
+    fixed: 'Fixed games'
+};
+
+// Compact badges after the branch name with the configuration of the test, when the data has it.
+// Clicking a badge adds its filter term.
+function appendConfigBadges(cell, test) {
+    const badges = [];
+    if (TEST_TYPE_LABELS[test.testType]) {
+        badges.push({ text: TEST_TYPE_LABELS[test.testType], title: 'Test type', type: test.testType, term: `type:${test.testType}` });
+    }
+    if (test.tc) {
+        const isTimeOdds = test.newTc && test.newTc !== test.tc;
+        badges.push({
+            text: isTimeOdds ? `${test.newTc} vs ${test.tc}` : test.tc,
+            title: isTimeOdds ? `Time odds: ${test.newTc} for the new version, ${test.tc} for the base` : 'Time control',
+            type: 'tc',
+            term: `tc:${test.tc}`
+        });
+    }
+    if (test.threads > 1) {
+        badges.push({ text: `${test.threads} threads`, title: 'Threads per engine (SMP)', type: 'threads', term: `threads:${test.threads}` });
+    }
+    if (test.book) {
+        badges.push({ text: test.book.replace(/\.(epd|pgn)(\.zip)?$/i, ''), title: `Book: ${test.book}`, type: 'book', term: `book:${test.book}` });
+    }
+
+    badges.forEach(({ text, title, type, term }) => {
+        const badge = document.createElement('button');
+        badge.type = 'button';
+        badge.classList.add('config-badge', `config-badge-${type}`);
+        badge.textContent = text;
+        badge.title = `${title}, click to filter by ${term}`;
+        badge.dataset.filterTerm = term;
+        cell.appendChild(badge);
+    });
+}
+
+// Small label after the branch name, e.g. for new tests
+function appendChangeBadge(row, text) {
+    const badge = document.createElement('span');
+    badge.classList.add('change-badge');
+    badge.textContent = text;
+    row.cells[2].appendChild(badge); // Branch cell
+}
+
+// Adds the ID, Username and Branch cells shared by the active and finished tables
+function appendTestInfoCells(row, test) {
+    // Test ID Cell
+    const idCell = row.insertCell();
+    const idLink = document.createElement('a');
+    idLink.href = `https://tests.stockfishchess.org/tests/view/${test.id}`;
+    idLink.textContent = test.id.substring(0, 8) + '...';
+    idLink.title = test.id; // Show full ID on hover
+    idLink.target = '_blank'; // Open in a new tab
+    idLink.rel = 'noopener noreferrer'; // Security best practice for _blank links
+    idCell.appendChild(idLink);
+
+    // Username Cell
+    const userCell = row.insertCell();
+    const userButton = document.createElement('button');
+    userButton.type = 'button';
+    userButton.textContent = test.username;
+    userButton.classList.add('link-button', 'username-filter-link'); // Add a class for styling and event handling
+    userButton.dataset.username = test.username; // Store username for the event handler
+    userButton.title = `Filter by ${test.username}`;
+    userCell.appendChild(userButton);
+
+    // Branch Name Cell
+    const branchCell = row.insertCell();
+    const branchButton = document.createElement('button');
+    branchButton.type = 'button';
+    branchButton.classList.add('link-button', 'branch-link');
+    branchButton.textContent = test.branch;
+    branchButton.title = test.branch; // Tooltip for full branch name
+    branchButton.setAttribute('aria-label', `Show the chart of ${test.branch}`);
+    branchButton.dataset.testId = test.id;
+    branchButton.dataset.branchName = test.branch;
+    branchCell.appendChild(branchButton);
+    appendConfigBadges(branchCell, test);
+}
+
+// --- Detail panel ---
+const GITHUB_REPO_PATTERN = /^https:\/\/github\.com\/[\w.-]+\/[\w.-]+$/;
+
+function shortSha(sha) {
+    return sha ? sha.substring(0, 10) : 'N/A';
+}
+
+// Link to a page of the tested repository, opened in a new tab
+function createRepoLink(url, text) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.textContent = text;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    return link;
+}
+
+function appendDetail(list, label, content) {
+    const item = document.createElement('div');
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const description = document.createElement('dd');
+    description.append(content ?? 'N/A');
+    item.append(term, description);
+    list.appendChild(item);
+}
+
+function formatSprtParameters(sprt) {
+    if (!sprt) return 'No SPRT';
+    const parts = [`elo0 ${sprt.elo0 ?? 'N/A'}`, `elo1 ${sprt.elo1 ?? 'N/A'}`];
+    parts.push(`alpha ${sprt.alpha ?? 'N/A'}`, `beta ${sprt.beta ?? 'N/A'}`);
+    if (sprt.model) parts.push(`model ${sprt.model}`);
+    if (sprt.lowerBound !== null && sprt.upperBound !== null) {
+        parts.push(`LLR bounds [${sprt.lowerBound.toFixed(2)}, ${sprt.upperBound.toFixed(2)}]`);
+    }
+    return parts.join(', ');
+}
+
+// The row below a test with what it changes, fishtest omits some fields for older data
+function createDetailRow(test, columnCount) {
+    const row = document.createElement('tr');
+    row.classList.add('detail-row');
+    const cell = row.insertCell();
+    cell.colSpan = columnCount;
+
+    const details = document.createElement('dl');
+    details.classList.add('test-details');
+
+    const message = document.createElement('span');
+    message.classList.add('commit-message');
+    message.textContent = test.msgNew ?? 'N/A';
+    appendDetail(details, 'Commit message', message);
+
+    const base = test.baseTag
+        ? `${test.baseTag}${test.msgBase ? `: ${test.msgBase}` : ''}`
+        : null;
+    appendDetail(details, 'Base', base);
+
+    const isGitHubRepo = GITHUB_REPO_PATTERN.test(test.testsRepo ?? '');
+    appendDetail(details, 'Repository', isGitHubRepo ? createRepoLink(test.testsRepo, test.testsRepo) : test.testsRepo);
+
+    const commits = document.createElement('span');
+    if (isGitHubRepo && test.resolvedNew && test.resolvedBase) {
+        commits.append(
+            createRepoLink(`${test.testsRepo}/commit/${test.resolvedNew}`, shortSha(test.resolvedNew)),
+            ' vs base ',
+            createRepoLink(`${test.testsRepo}/commit/${test.resolvedBase}`, shortSha(test.resolvedBase)),
+            ' (',
+            createRepoLink(`${test.testsRepo}/compare/${test.resolvedBase}...${test.resolvedNew}`, 'diff'),
+            ')'
+        );
+    } else {
+        commits.textContent = `${shortSha(test.resolvedNew)} vs base ${shortSha(test.resolvedBase)}`;
+    }
+    appendDetail(details, 'Commits', commits);
+
+    appendDetail(details, 'SPRT', formatSprtParameters(test.sprt));
+    appendDetail(details, 'W / L / D', `${test.wins} / ${test.losses} / ${test.draws}`);
+    appendDetail(details, 'Started', test.startTime
+        ? `${new Date(test.startTime * 1000).toLocaleString()} (${formatTimeAgo(test.startTime)})`
+        : null);
+
+    cell.appendChild(details);
+    return row;
+}
+
+// Add the detail panel below the row of a test if it is open
+function appendDetailRowIfExpanded(row, test, columnCount) {
+    const isExpanded = expandedTestIds.has(test.id);
+    row.setAttribute('aria-expanded', String(isExpanded));
+    if (isExpanded) {
+        row.after(createDetailRow(test, columnCount));
+    }
+}
+
+function toggleTestDetails(testId) {
+    if (!expandedTestIds.delete(testId)) {
+        expandedTestIds.add(testId);
+    }
+    filterAndRenderTable();
+}
+
+// Clicking a row opens or closes its detail panel, except on its links and buttons
+function handleRowClick(event) {
+    if (event.target.closest('a, button, .detail-row')) return;
+    const row = event.target.closest('tr');
+    if (!row?.dataset.testId) return;
+
+    toggleTestDetails(row.dataset.testId);
+}
+
+// --- Keyboard navigation ---
+// The rows of a table are a single tab stop (roving tabindex), the arrow keys move between them
+
+function getTestRows(tableBody) {
+    return [...tableBody.rows].filter(row => row.dataset.testId);
+}
+
+// Make the focused row, or else the first one, the row that Tab reaches
+function updateRowTabStops(tableBody) {
+    const rows = getTestRows(tableBody);
+    const tabStop = rows.find(row => row.dataset.testId === focusedTestId) ?? rows[0];
+    rows.forEach(row => {
+        row.tabIndex = row === tabStop ? 0 : -1;
+    });
+}
+
+// Rows are moved or rebuilt while rendering, which drops the focus, so give it back to the same test
+function restoreRowFocus(tableBody, hadFocus) {
+    updateRowTabStops(tableBody);
+    if (!hadFocus) return;
+    getTestRows(tableBody).find(row => row.dataset.testId === focusedTestId)?.focus({ preventScroll: true });
+}
+
+function hasRowFocus(tableBody) {
+    return document.activeElement?.tagName === 'TR' && tableBody.contains(document.activeElement);
+}
+
+function handleRowFocus(event) {
+    if (event.target.tagName !== 'TR' || !event.target.dataset.testId) return;
+    focusedTestId = event.target.dataset.testId;
+    updateRowTabStops(event.currentTarget);
+}
+
+// Up/Down/Home/End move between rows, Enter opens the chart (Shift+Enter compares), Space toggles the details
+function handleRowKeydown(event) {
+    const row = event.target;
+    if (row.tagName !== 'TR' || !row.dataset.testId) return; // Keys on the buttons inside a row keep their meaning
+
+    const rows = getTestRows(event.currentTarget);
+    const index = rows.indexOf(row);
+    const targets = {
+        ArrowDown: rows[index + 1],
+        ArrowUp: rows[index - 1],
+        Home: rows[0],
+        End: rows[rows.length - 1]
+    };
+
+    if (event.key in targets) {
+        event.preventDefault();
+        targets[event.key]?.focus();
+    } else if (event.key === 'Enter') {
+        event.preventDefault();
+        const branchButton = row.querySelector('.branch-link');
+        showTestChart(row.dataset.testId, branchButton?.dataset.branchName ?? '', event.shiftKey);
+    } else if (event.key === ' ') {
+        event.preventDefault();
+        toggleTestDetails(row.dataset.testId);
+    }
+}
 
+function renderTable(testsToRender) {
     // Update colspan for loading/empty messages
     if (testsToRender.length === 0 && allTestsData.length > 0 && filterInput.value.trim() !== '') {
-        testsTableBody.innerHTML = `<tr><td colspan="5" style="text-align:center;">No tests match your filter.</td></tr>`;
+        testsTableBody.innerHTML = `<tr><td colspan="${testsTableColumnCount}" style="text-align:center;">No tests match your filter.</td></tr>`;
         return;
     }
      // Check if allTestsData itself is empty (could be due to initial load error or no tests)
     if (testsToRender.length === 0 && allTestsData.length === 0) {
         // Don't show "No active tests found" if there was a load error message already
         if (!testsTableBody.innerHTML.includes('Error loading test data')) {
-             testsTableBody.innerHTML = `<tr><td colspan="5" style="text-align:center;">No active tests found or data not yet available.</td></tr>`;
+             testsTableBody.innerHTML = `<tr><td colspan="${testsTableColumnCount}" style="text-align:center;">No active tests found or data not yet available.</td></tr>`;
         }
         return;
     }
 
-    testsToRender.forEach(test => {
-        const row = testsTableBody.insertRow();
-
-        // Calculate totalGames for display
-        const totalGames = (test.wins || 0) + (test.losses || 0) + (test.draws || 0);
+    // Reuse the row of each test so that a refresh updates the table in place
+    const hadRowFocus = hasRowFocus(testsTableBody);
+    const existingRows = new Map();
+    [...testsTableBody.rows].forEach(row => {
+        if (row.dataset.testId) {
+            existingRows.set(row.dataset.testId, row);
+        } else {
+            row.remove(); // Loading, empty or error message
+        }
+    });
+    const showFlash = Date.now() - recentChangesTime < CHANGE_FLASH_MS;
 
-        // Calculate the score % for display
-        let score = ((test.wins || 0) + (test.draws || 0) / 2) / totalGames * 100 || 0;
-        // Format score to 2 decimal places
-        score = score.toFixed(2);
+    testsToRender.forEach(test => {
+        const row = existingRows.get(test.id) ?? document.createElement('tr');
+        existingRows.delete(test.id);
+        row.replaceChildren();
+        row.className = '';
+        row.dataset.testId = test.id;
+        row.classList.add('expandable-row');
+        testsTableBody.appendChild(row); // Moves an existing row into the new order
+
+        if (isTestWatched(test)) {
+            row.classList.add('watched-row');
+        }
 
         // Apply dimming if workers count is 0, i.e., test is paused
         if (test.workers === 0) {
@@ -159,259 +765,1662 @@ function renderTable(testsToRender) {
         // Apply background color based on sprtElo0's existence and value
         // If sprtElo0 is not null, we assume it's an SPRT test with elo0 data
         if (test.sprtElo0 !== null) { // Check if sprtElo0 has a valid numeric value
-            if (test.sprtElo0 < 0) {
-                row.style.backgroundColor = 'rgb(80 200 229 / 30%)'; // Simplification
-            } else {
-                row.style.backgroundColor = 'rgb(117 187 118 / 30%)'; // Gainer
+            row.classList.add(test.sprtElo0 < 0 ? 'simplification-row' : 'gainer-row');
+        }
+
+        appendTestInfoCells(row, test);
+        prependTestMarkers(row.cells[2], test); // Branch cell
+
+        // Star to add the test to the watchlist, in front of the ID
+        const watchButton = document.createElement('button');
+        watchButton.type = 'button';
+        watchButton.classList.add('watch-toggle');
+        watchButton.dataset.testId = test.id;
+        watchButton.textContent = isTestStarred(test) ? '\u2605' : '\u2606';
+        watchButton.title = isTestStarred(test) ? 'Remove from watchlist' : 'Add to watchlist';
+        watchButton.setAttribute('aria-label', `Watch ${test.branch}`);
+        watchButton.setAttribute('aria-pressed', String(isTestStarred(test)));
+        row.cells[0].prepend(watchButton);
+
+        const change = recentChanges.get(test.id);
+        if (change === 'new') {
+            row.classList.add('new-test-row');
+            appendChangeBadge(row, 'new');
+        }
+
+        // LLR Cell, with an arrow when the LLR moved in the last update
+        const llrCell = row.insertCell();
+        llrCell.textContent = formatLLROrProgress(test);
+        if (change === 'llr-up' || change === 'llr-down') {
+            const arrow = document.createElement('span');
+            arrow.classList.add('change-arrow');
+            arrow.textContent = change === 'llr-up' ? ' \u25B2' : ' \u25BC';
+            llrCell.appendChild(arrow);
+            llrCell.classList.add(change);
+            if (showFlash) {
+                llrCell.classList.add('flash');
             }
         }
 
-        // Test ID Cell
-        const idCell = row.insertCell();
-        const idLink = document.createElement('a');
-        idLink.href = `https://tests.stockfishchess.org/tests/view/${test.id}`;
-        idLink.textContent = test.id.substring(0, 8) + '...';
-        idLink.title = test.id; // Show full ID on hover
-        idLink.target = '_blank'; // Open in a new tab
-        idLink.rel = 'noopener noreferrer'; // Security best practice for _blank links
-        idCell.appendChild(idLink);
-
-        // Username Cell
-        const userCell = row.insertCell();
-        const userLink = document.createElement('a');
-        userLink.href = '#'; // Prevent page jump
-        userLink.textContent = test.username;
-        userLink.classList.add('username-filter-link'); // Add a class for styling and event handling
-        userLink.dataset.username = test.username; // Store username for the event handler
-        userCell.appendChild(userLink);
-
-        // Branch Name Cell
-        const branchCell = row.insertCell();
-        const branchLink = document.createElement('a');
-        branchLink.href = '#';
-        branchLink.classList.add('branch-link');
-        branchLink.textContent = test.branch;
-        branchLink.title = test.branch; // Tooltip for full branch name
-        branchLink.dataset.testId = test.id;
-        branchLink.dataset.branchName = test.branch;
-        branchCell.appendChild(branchLink);
-
-        // LLR Cell
-        row.insertCell().textContent = formatLLR(test.llr);
+        // SPRT Bounds Cell
+        const boundsCell = row.insertCell();
+        boundsCell.textContent = formatSprtBounds(test.sprt);
+        if (test.sprt) {
+            boundsCell.title = `Model: ${test.sprt.model ?? 'N/A'}, alpha: ${test.sprt.alpha ?? 'N/A'}, beta: ${test.sprt.beta ?? 'N/A'}`;
+        }
 
         // Total Games Cell
-        row.insertCell().textContent = `${totalGames} (${score}%)`;
+        row.insertCell().textContent = formatGamesAndScore(test);
+
+        // Elo and normalized Elo Cells, with the 95% confidence interval
+        const eloStats = getTestEloStats(test);
+        const eloCell = row.insertCell();
+        const nEloCell = row.insertCell();
+        if (eloStats) {
+            eloCell.textContent = formatEloValue(eloStats.elo, eloStats.eloError);
+            eloCell.title = `95% CI: [${eloStats.eloMin.toFixed(2)}, ${eloStats.eloMax.toFixed(2)}]`;
+            nEloCell.textContent = formatEloValue(eloStats.nElo, eloStats.nEloError);
+            nEloCell.title = `95% CI: [${(eloStats.nElo - eloStats.nEloError).toFixed(2)}, ${(eloStats.nElo + eloStats.nEloError).toFixed(2)}]`;
+        } else {
+            eloCell.textContent = 'N/A';
+            nEloCell.textContent = 'N/A';
+        }
+
+        // Workers Cell
+        row.insertCell().textContent = test.workers;
+
+        // ETA / P(pass) Cell
+        const projection = computeSprtProjection(test);
+        const projectionCell = row.insertCell();
+        projectionCell.textContent = formatProjection(projection);
+        if (projection) {
+            projectionCell.title = `About ${Math.round(projection.remainingGames).toLocaleString()} games left`;
+        }
+
+        appendDetailRowIfExpanded(row, test, testsTableColumnCount);
     });
+
+    // Rows of tests that are filtered out or no longer active
+    existingRows.forEach(row => row.remove());
+    restoreRowFocus(testsTableBody, hadRowFocus);
 }
 
-// --- Filtering ---
-function filterAndRenderTable() {
-    const filterText = filterInput.value.toLowerCase().trim();
-    if (!filterText) {
-        renderTable(allTestsData); // Render all loaded tests
-        return;
+// Markers for what the row colours and dimming show, so that they don't rely on colour alone
+const TEST_MARKERS = {
+    gainer: { text: '+', label: 'Gainer' },
+    simplification: { text: '\u2212', label: 'Simplification' },
+    paused: { text: '\u23F8', label: 'Paused, no workers' }
+};
+
+function prependTestMarkers(cell, test) {
+    const markerTypes = [];
+    if (test.sprtElo0 !== null) {
+        markerTypes.push(test.sprtElo0 < 0 ? 'simplification' : 'gainer');
+    }
+    if (test.workers === 0) {
+        markerTypes.push('paused');
     }
-    const filteredTests = allTestsData.filter(test =>
-        test.username.toLowerCase().includes(filterText) ||
-        test.branch.toLowerCase().includes(filterText) ||
-        test.id.toLowerCase().includes(filterText)
-    );
-    renderTable(filteredTests);
-}
 
-// --- Charting ---
-function initializeChart(testId, branchName) {
-    currentTrackingTestId = testId;
-    currentTrackingBranchName = branchName;
-    chartTitle.textContent = `Progress for: ${branchName} (ID: ${testId.substring(0,8)}...)`;
-    chartContainer.style.display = 'block';
+    cell.prepend(...markerTypes.map(type => {
+        const marker = document.createElement('span');
+        marker.classList.add('test-marker', `marker-${type}`);
+        marker.textContent = TEST_MARKERS[type].text;
+        marker.title = TEST_MARKERS[type].label;
+        marker.setAttribute('role', 'img');
+        marker.setAttribute('aria-label', TEST_MARKERS[type].label);
+        return marker;
+    }));
+}
 
-    const isActive = allTestsData.some(test => test.id === testId);
-    testEndedMessage.style.display = isActive ? 'none' : 'block';
+function renderFinishedTable(testsToRender) {
+    const hadRowFocus = hasRowFocus(finishedTableBody);
+    finishedTableBody.innerHTML = ''; // Clear existing rows
 
-    if (currentChart) {
-        currentChart.destroy();
+    if (testsToRender.length === 0) {
+        const message = finishedTestsData.length > 0
+            ? 'No finished tests match your filter.'
+            : 'No recently finished tests.';
+        finishedTableBody.innerHTML = `<tr><td colspan="${finishedTableColumnCount}" style="text-align:center;">${message}</td></tr>`;
+        return;
     }
 
-    const ctx = progressChartCanvas.getContext('2d');
+    testsToRender.forEach(test => {
+        const row = finishedTableBody.insertRow();
+        row.dataset.testId = test.id;
+        row.classList.add('expandable-row');
 
-    // Default Y-axis options, will be overridden by toggleChartMetric if needed
-    let initialYAxisOptions = {
-         beginAtZero: true, // Score default
-         title: { display: true, text: 'Value' }
-    };
+        appendTestInfoCells(row, test);
 
-    // If LLR is the default, adjust initialYAxisOptions before chart creation
-    // This is not strictly necessary if toggleChartMetric is called immediately after,
-    // but can be a safeguard. The main thing is toggleChartMetric being called.
-    if (currentVisibleMetric === 'llr') {
-        initialYAxisOptions = {
-            min: -3,
-            max: 3,
-            beginAtZero: false,
-            title: { display: true, text: 'Value' }
-        };
-    }
+        if (recentChanges.get(test.id) === 'finished') {
+            row.classList.add('new-test-row');
+            appendChangeBadge(row, 'just finished');
+        }
 
+        // Result Cell
+        const resultCell = row.insertCell();
+        resultCell.textContent = OUTCOME_LABELS[test.outcome] ?? 'Unknown';
+        resultCell.classList.add(`outcome-${test.outcome}`);
 
-    currentChart = new Chart(ctx, {
-        type: 'line',
-        data: {
-            labels: [],
-            datasets: [
-                {
-                    label: 'Score',
-                    data: [],
-                    borderColor: 'rgb(75, 192, 192)',
-                    tension: 0.1,
-                    // Set initial hidden state based on currentVisibleMetric
-                    hidden: currentVisibleMetric !== 'score'
-                },
-                {
-                    label: 'LLR',
-                    data: [],
-                    borderColor: 'rgb(255, 99, 132)',
-                    tension: 0.1,
-                    // Set initial hidden state based on currentVisibleMetric
-                    hidden: currentVisibleMetric !== 'llr',
-                    yAxisID: 'y'
-                }
-            ]
-        },
-        options: {
-            scales: {
-                x: {
-                    type: 'time',
-                    time: {
-                         unit: 'minute',
-                         tooltipFormat: 'MMM d, HH:mm:ss',
-                         displayFormats: {
-                             minute: 'HH:mm',
-                             hour: 'HH:mm'
-                         }
-                    },
-                    title: { display: true, text: 'Time' }
-                },
-                y: initialYAxisOptions // Apply initial options
-            },
-            responsive: true,
-            maintainAspectRatio: true,
-             plugins: {
-                tooltip: {
-                    mode: 'index',
-                    intersect: false,
-                }
-            }
-        }
-    });
+        // Final LLR Cell
+        row.insertCell().textContent = formatLLROrProgress(test);
+
+        // Total Games Cell
+        row.insertCell().textContent = formatGamesAndScore(test);
 
-    // Crucially, apply the correct scale and visibility AFTER chart object is created
-    // This will set the LLR scale if currentVisibleMetric is 'llr'
-    toggleChartMetric(currentVisibleMetric);
+        // End Time Cell
+        const endedCell = row.insertCell();
+        endedCell.textContent = formatTimeAgo(test.endTime);
+        endedCell.title = new Date(test.endTime * 1000).toLocaleString();
 
-    updateChartData(); // Populate with historical data
+        appendDetailRowIfExpanded(row, test, finishedTableColumnCount);
+    });
+    restoreRowFocus(finishedTableBody, hadRowFocus);
 }
 
-function updateChartData() {
-    if (!currentChart || !currentTrackingTestId) return;
-
-    const testHistory = historicalData[currentTrackingTestId] || [];
+// --- Summary ---
+// Totals over all active tests, whatever the filter, with a breakdown per user
+function summarizeTests(tests) {
+    const summary = {
+        tests: tests.length,
+        workers: 0,
+        pausedTests: 0,
+        games: 0,
+        gainers: { tests: 0, workers: 0 },
+        simplifications: { tests: 0, workers: 0 },
+        users: new Map()
+    };
 
-    if (!testHistory.length) {
-         console.log(`No historical data found for ${currentTrackingTestId} to update chart.`);
-         currentChart.data.labels = [];
-         currentChart.data.datasets[0].data = [];
-         currentChart.data.datasets[1].data = [];
-         currentChart.update('none');
-         return;
-    }
+    tests.forEach(test => {
+        const games = getTotalGames(test);
+        summary.workers += test.workers;
+        summary.games += games;
+        if (test.workers === 0) summary.pausedTests++;
+
+        const type = TYPE_FILTERS.gainer(test) ? summary.gainers
+            : TYPE_FILTERS.simplification(test) ? summary.simplifications
+            : null; // Tests without SPRT bounds are neither
+        if (type) {
+            type.tests++;
+            type.workers += test.workers;
+        }
 
-    // Format data for Chart.js time scale: {x: timestamp, y: value}
-    const scoreData = testHistory.map(d => ({ x: d.time * 1000, y: d.score })); // Convert seconds to ms
-    const llrData = testHistory.map(d => ({ x: d.time * 1000, y: d.llr !== null ? d.llr : NaN })); // Handle nulls
+        if (!summary.users.has(test.username)) {
+            summary.users.set(test.username, { username: test.username, tests: 0, workers: 0, games: 0, bestTest: null });
+        }
+        const user = summary.users.get(test.username);
+        user.tests++;
+        user.workers += test.workers;
+        user.games += games;
+        if (test.llr !== null && (user.bestTest === null || test.llr > user.bestTest.llr)) {
+            user.bestTest = test;
+        }
+    });
+    return summary;
+}
 
-    currentChart.data.datasets[0].data = scoreData;
-    currentChart.data.datasets[1].data = llrData;
+function appendSummaryItem(label, value) {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const description = document.createElement('dd');
+    description.textContent = value;
+    const item = document.createElement('div'); // Groups the term with its value
+    item.append(term, description);
+    fleetSummary.appendChild(item);
+}
 
-    // Check again if the test is active based on the loaded latest data
-    const isActive = allTestsData.some(test => test.id === currentTrackingTestId);
-    testEndedMessage.style.display = isActive ? 'none' : 'block';
+function formatTestsAndWorkers({ tests, workers }) {
+    return `${tests} tests, ${workers.toLocaleString()} workers`;
+}
 
-    currentChart.update('none'); // Use 'none' to prevent animation
+function renderSummary() {
+    summaryPanel.hidden = allTestsData.length === 0;
+    if (allTestsData.length === 0) return;
+
+    const summary = summarizeTests(allTestsData);
+    fleetSummary.replaceChildren();
+    appendSummaryItem('Active tests', summary.tests);
+    appendSummaryItem('Workers', `${summary.workers.toLocaleString()} (${summary.pausedTests} tests paused)`);
+    appendSummaryItem('Games', summary.games.toLocaleString());
+    appendSummaryItem('Gainers', formatTestsAndWorkers(summary.gainers));
+    appendSummaryItem('Simplifications', formatTestsAndWorkers(summary.simplifications));
+
+    // Users with the largest share of the workers first
+    const users = [...summary.users.values()].sort((a, b) => b.workers - a.workers || b.tests - a.tests);
+    const filterText = filterInput.value.trim().toLowerCase();
+    userSummaryTableBody.replaceChildren();
+    users.forEach(user => {
+        const row = userSummaryTableBody.insertRow();
+        row.classList.toggle('active-user', user.username.toLowerCase() === filterText);
+
+        const usernameButton = document.createElement('button');
+        usernameButton.type = 'button';
+        usernameButton.textContent = user.username;
+        usernameButton.classList.add('link-button', 'username-filter-link');
+        usernameButton.dataset.username = user.username;
+        usernameButton.title = `Filter by ${user.username}`;
+        row.insertCell().appendChild(usernameButton);
+
+        row.insertCell().textContent = user.tests;
+        const share = summary.workers > 0 ? Math.round(user.workers / summary.workers * 100) : 0;
+        row.insertCell().textContent = `${user.workers} (${share}%)`;
+        row.insertCell().textContent = user.games.toLocaleString();
+        row.insertCell().textContent = user.bestTest
+            ? formatLLR(user.bestTest.llr, getLLRBounds(user.bestTest))
+            : 'N/A';
+
+        const feedLink = document.createElement('a');
+        feedLink.href = `feeds/${getUserFeedName(user.username)}.xml`;
+        feedLink.textContent = 'Atom';
+        feedLink.title = `Events of the tests of ${user.username}`;
+        row.insertCell().appendChild(feedLink);
+    });
 }
 
+// File name of a user's feeds, the same as getUserFeedName in .github/scripts/feeds.js:
+// unsafe characters become "_" and such names get an FNV-1a hash of the raw name
+function getUserFeedName(username) {
+    const safeName = username.replace(/[^A-Za-z0-9_-]/g, '_');
+    if (safeName === username) return safeName;
 
-function handleBranchClick(event) {
-    if (event.target.classList.contains('branch-link')) {
-        event.preventDefault();
-        const testId = event.target.dataset.testId;
-        const branchName = event.target.dataset.branchName;
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < username.length; i++) {
+        hash ^= username.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `${safeName}-${(hash >>> 0).toString(16).padStart(8, '0')}`;
+}
 
-        if (testId === currentTrackingTestId) {
-            chartContainer.scrollIntoView({ behavior: 'smooth' });
-            return;
+// --- Sorting ---
+const SORT_STORAGE_KEY = 'fishtestTracker.sort';
+const DEFAULT_SORT = {
+    primary: { key: 'llr', direction: 'desc' },
+    secondary: { key: 'id', direction: 'desc' }
+};
+
+// Values compared for each sortable column, null values always sort last
+const SORT_ACCESSORS = {
+    id: test => test.id, // Fishtest IDs start with the creation time, so this sorts by age
+    username: test => test.username.toLowerCase(),
+    branch: test => test.branch.toLowerCase(),
+    llr: test => test.llr,
+    // Progress towards num_games for tests without an LLR
+    llrPercent: test => test.llr === null ? getFixedGamesProgress(test) : getLLRPercentage(test.llr, getLLRBounds(test)),
+    games: test => getTotalGames(test),
+    score: test => getScorePercentage(test),
+    workers: test => test.workers
+};
+
+function loadSortState() {
+    try {
+        const savedSort = JSON.parse(localStorage.getItem(SORT_STORAGE_KEY));
+        if (savedSort && SORT_ACCESSORS[savedSort.primary?.key]) {
+            return savedSort;
         }
+    } catch (error) {
+        console.warn("Ignoring invalid saved sort order:", error);
+    }
+    return DEFAULT_SORT;
+}
 
-        currentVisibleMetric = 'llr'; // Reset to LLR view for a new chart
-        initializeChart(testId, branchName);
-        chartContainer.scrollIntoView({ behavior: 'smooth' });
+function saveSortState() {
+    try {
+        localStorage.setItem(SORT_STORAGE_KEY, JSON.stringify(currentSort));
+    } catch (error) {
+        console.warn("Could not save sort order:", error); // e.g. storage disabled
     }
 }
 
-function toggleChartMetric(metricToShow) {
-    if (!currentChart) return;
+function compareTestsBy(a, b, sortKey) {
+    if (!sortKey || !SORT_ACCESSORS[sortKey.key]) return 0;
 
-    currentVisibleMetric = metricToShow;
-    const isLLR = metricToShow === 'llr';
+    const valueA = SORT_ACCESSORS[sortKey.key](a);
+    const valueB = SORT_ACCESSORS[sortKey.key](b);
+    if (valueA === null && valueB === null) return 0;
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+
+    const result = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+    return sortKey.direction === 'asc' ? result : -result;
+}
+
+function sortTests(tests) {
+    return [...tests].sort((a, b) =>
+        compareTestsBy(a, b, currentSort.primary) || compareTestsBy(a, b, currentSort.secondary)
+    );
+}
+
+// Reflect the current sort on the headers, for the arrows and screen readers
+function updateSortIndicators() {
+    testsTableHead.querySelectorAll('[data-sort-key]').forEach(header => {
+        header.classList.remove('sort-asc', 'sort-desc');
+        header.closest('th').removeAttribute('aria-sort');
+        if (header.dataset.sortKey === currentSort.primary.key) {
+            header.classList.add(`sort-${currentSort.primary.direction}`);
+            header.closest('th').setAttribute('aria-sort', currentSort.primary.direction === 'asc' ? 'ascending' : 'descending');
+        }
+    });
+}
 
-    currentChart.data.datasets[0].hidden = isLLR;
-    currentChart.data.datasets[1].hidden = !isLLR;
+// Clicking the sorted column flips its direction, clicking another one makes it the
+// primary key and keeps the previous primary key as the tie-break
+function handleSortClick(event) {
+    const header = event.target.closest('[data-sort-key]');
+    if (!header) return;
 
-    if (isLLR) {
-        currentChart.options.scales.y.min = -3;
-        currentChart.options.scales.y.max = 3;
-        currentChart.options.scales.y.beginAtZero = false;
+    const sortKey = header.dataset.sortKey;
+    if (sortKey === currentSort.primary.key) {
+        const direction = currentSort.primary.direction === 'asc' ? 'desc' : 'asc';
+        currentSort = { ...currentSort, primary: { key: sortKey, direction } };
     } else {
-        currentChart.options.scales.y.min = undefined;
-        currentChart.options.scales.y.max = undefined;
-        currentChart.options.scales.y.beginAtZero = true;
+        // Text columns read best A-Z, numbers highest first
+        const direction = ['username', 'branch'].includes(sortKey) ? 'asc' : 'desc';
+        currentSort = { primary: { key: sortKey, direction }, secondary: currentSort.primary };
     }
 
-    currentChart.update();
+    saveSortState();
+    updateSortIndicators();
+    filterAndRenderTable();
 }
 
-// --- Function to handle username click for filtering ---
-function handleUsernameFilterClick(event) {
+// The sortable headers are focusable, Enter or Space sorts like a click
+function handleSortKeydown(event) {
+    if (event.key !== 'Enter' && event.key !== ' ') return;
+    if (!event.target.closest('[data-sort-key]')) return;
+    event.preventDefault();
+    handleSortClick(event);
+}
+
+// --- Watchlist and notifications ---
+const WATCHLIST_STORAGE_KEY = 'fishtestTracker.watchlist';
+const DEFAULT_WATCHLIST = {
+    testIds: [],
+    usernames: [],
+    notifications: {
+        enabled: false,
+        thresholdPercent: 80, // Of the bound the LLR is heading to, as shown by formatLLR
+        onThreshold: true,
+        onPause: true,
+        onFinish: true
+    }
+};
+
+let watchlist = DEFAULT_WATCHLIST; // Restored from localStorage in initializeApp
+
+function loadWatchlist() {
+    try {
+        const savedWatchlist = JSON.parse(localStorage.getItem(WATCHLIST_STORAGE_KEY));
+        if (savedWatchlist) {
+            return {
+                testIds: savedWatchlist.testIds ?? [],
+                usernames: savedWatchlist.usernames ?? [],
+                notifications: { ...DEFAULT_WATCHLIST.notifications, ...savedWatchlist.notifications }
+            };
+        }
+    } catch (error) {
+        console.warn("Ignoring invalid saved watchlist:", error);
+    }
+    return DEFAULT_WATCHLIST;
+}
+
+function saveWatchlist() {
+    try {
+        localStorage.setItem(WATCHLIST_STORAGE_KEY, JSON.stringify(watchlist));
+    } catch (error) {
+        console.warn("Could not save watchlist:", error);
+    }
+}
+
+function isTestStarred(test) {
+    return watchlist.testIds.includes(test.id);
+}
+
+function isTestWatched(test) {
+    return isTestStarred(test) || watchlist.usernames.includes(test.username.toLowerCase());
+}
+
+// Watched tests go first, keeping the sort order within both groups
+function pinWatchedTests(tests) {
+    return [...tests.filter(isTestWatched), ...tests.filter(test => !isTestWatched(test))];
+}
+
+// Starred tests that are neither active nor recently finished can't come back
+function pruneWatchlist() {
+    const knownIds = new Set([...allTestsData, ...finishedTestsData].map(test => test.id));
+    const testIds = watchlist.testIds.filter(testId => knownIds.has(testId));
+    if (testIds.length !== watchlist.testIds.length) {
+        watchlist = { ...watchlist, testIds };
+        saveWatchlist();
+    }
+}
+
+function handleWatchClick(event) {
+    const button = event.target.closest('.watch-toggle');
+    if (!button) return;
+
+    event.preventDefault();
+    const testId = button.dataset.testId;
+    const testIds = watchlist.testIds.includes(testId)
+        ? watchlist.testIds.filter(id => id !== testId)
+        : [...watchlist.testIds, testId];
+    watchlist = { ...watchlist, testIds };
+    saveWatchlist();
+    filterAndRenderTable();
+}
+
+function renderFollowedUsers() {
+    followedUsersList.replaceChildren();
+    watchlist.usernames.forEach(username => {
+        const item = document.createElement('li');
+        item.textContent = username;
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.textContent = '×';
+        removeButton.title = `Stop following ${username}`;
+        removeButton.setAttribute('aria-label', `Stop following ${username}`);
+        removeButton.dataset.username = username;
+        item.appendChild(removeButton);
+        followedUsersList.appendChild(item);
+    });
+}
+
+function followUser(username) {
+    const normalizedUsername = username.trim().toLowerCase();
+    if (!normalizedUsername || watchlist.usernames.includes(normalizedUsername)) return;
+
+    watchlist = { ...watchlist, usernames: [...watchlist.usernames, normalizedUsername] };
+    saveWatchlist();
+    renderFollowedUsers();
+    filterAndRenderTable();
+}
+
+function unfollowUser(username) {
+    watchlist = { ...watchlist, usernames: watchlist.usernames.filter(name => name !== username) };
+    saveWatchlist();
+    renderFollowedUsers();
+    filterAndRenderTable();
+}
+
+// Reflect the saved notification settings in the watchlist panel
+function renderNotificationSettings() {
+    const settings = watchlist.notifications;
+    const isSupported = 'Notification' in window;
+    notifyEnabledCheckbox.checked = isSupported && settings.enabled && Notification.permission === 'granted';
+    notifyEnabledCheckbox.disabled = !isSupported;
+    notifyThresholdSelect.value = String(settings.thresholdPercent);
+    notifyOnThresholdCheckbox.checked = settings.onThreshold;
+    notifyOnPauseCheckbox.checked = settings.onPause;
+    notifyOnFinishCheckbox.checked = settings.onFinish;
+    if (!isSupported) {
+        notificationStatus.textContent = 'This browser does not support notifications.';
+    }
+}
+
+async function handleNotificationSettingsChange() {
+    let enabled = notifyEnabledCheckbox.checked;
+    notificationStatus.textContent = '';
+    if (enabled && Notification.permission !== 'granted') {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') {
+            enabled = false;
+            notifyEnabledCheckbox.checked = false;
+            notificationStatus.textContent = 'Notifications are blocked for this page in the browser settings.';
+        }
+    }
+
+    watchlist = {
+        ...watchlist,
+        notifications: {
+            enabled,
+            thresholdPercent: Number(notifyThresholdSelect.value),
+            onThreshold: notifyOnThresholdCheckbox.checked,
+            onPause: notifyOnPauseCheckbox.checked,
+            onFinish: notifyOnFinishCheckbox.checked
+        }
+    };
+    saveWatchlist();
+}
+
+function sendNotification(test, message) {
+    const notification = new Notification(`${test.branch} (${test.username})`, {
+        body: message,
+        tag: `${test.id}-${message}` // Avoid stacking the same alert twice
+    });
+    notification.onclick = () => {
+        window.focus();
+        currentVisibleMetric = 'llr';
+        comparedTestIds = [];
+        initializeChart(test.id, test.branch);
+        updateUrlState({ push: true });
+    };
+}
+
+// After a data update, alert about watched tests that crossed the LLR threshold, got paused or finished
+function checkWatchlistAlerts(previousTests) {
+    const settings = watchlist.notifications;
+    if (!settings.enabled || !('Notification' in window) || Notification.permission !== 'granted') return;
+
+    const currentTestsById = new Map(allTestsData.map(test => [test.id, test]));
+    previousTests.filter(isTestWatched).forEach(previousTest => {
+        const test = currentTestsById.get(previousTest.id);
+
+        if (!test) {
+            if (settings.onFinish) {
+                const finishedTest = finishedTestsData.find(finished => finished.id === previousTest.id);
+                const outcome = finishedTest ? ` (${OUTCOME_LABELS[finishedTest.outcome] ?? 'Unknown'})` : '';
+                sendNotification(previousTest, `Test finished${outcome}, LLR ${formatLLR(finishedTest?.llr ?? previousTest.llr, getLLRBounds(previousTest))}`);
+            }
+            return;
+        }
+
+        if (settings.onPause && previousTest.workers > 0 && test.workers === 0) {
+            sendNotification(test, 'Test paused: no workers left');
+        }
+
+        if (settings.onThreshold && test.llr !== null && previousTest.llr !== null) {
+            const bounds = getLLRBounds(test);
+            const previousPercentage = Math.abs(getLLRPercentage(previousTest.llr, bounds));
+            const percentage = Math.abs(getLLRPercentage(test.llr, bounds));
+            if (previousPercentage < settings.thresholdPercent && percentage >= settings.thresholdPercent) {
+                const boundName = test.llr >= 0 ? 'pass' : 'fail';
+                sendNotification(test, `LLR ${formatLLR(test.llr, bounds)} reached ${settings.thresholdPercent}% of the ${boundName} bound`);
+            }
+        }
+    });
+}
+
+// --- Filtering ---
+function matchesFilter(test, filterText) {
+    return test.username.toLowerCase().includes(filterText) ||
+        test.branch.toLowerCase().includes(filterText) ||
+        test.id.toLowerCase().includes(filterText);
+}
+
+// --- Filter query language ---
+// Terms are ANDed, "OR" (or "|") separates alternatives, parentheses group and a leading "-" negates.
+// Field terms: user:name, branch:~part (":" is an exact match, ":~" a substring match), llr>1.5,
+// games<50000, workers:0, score>=50, tc:60+0.6, book:~uho, threads>1, numgames>=20000,
+// type:gainer / type:simplification / type:sprt / type:spsa / type:fixed. Anything else is a substring match.
+const TEXT_FILTER_FIELDS = {
+    user: test => test.username,
+    username: test => test.username,
+    branch: test => test.branch,
+    id: test => test.id,
+    tc: test => test.tc,
+    book: test => test.book
+};
+
+const NUMERIC_FILTER_FIELDS = {
+    llr: test => test.llr,
+    games: test => getTotalGames(test),
+    workers: test => test.workers,
+    score: test => getScorePercentage(test),
+    threads: test => test.threads ?? null,
+    numgames: test => test.numGames ?? null
+};
+
+// Test types, by the sign of sprtElo0 and by the kind of test
+const TYPE_FILTERS = {
+    gainer: test => test.sprtElo0 !== null && test.sprtElo0 >= 0,
+    simplification: test => test.sprtElo0 !== null && test.sprtElo0 < 0,
+    sprt: test => test.testType === 'sprt',
+    spsa: test => test.testType === 'spsa',
+    fixed: test => test.testType === 'fixed'
+};
+
+const FILTER_TERM_PATTERN = /^([a-z]+)(:~|>=|<=|:|=|>|<)(.*)$/i;
+
+const NUMERIC_COMPARISONS = {
+    ':': (a, b) => a === b,
+    '=': (a, b) => a === b,
+    '>': (a, b) => a > b,
+    '<': (a, b) => a < b,
+    '>=': (a, b) => a >= b,
+    '<=': (a, b) => a <= b
+};
+
+function compileFilterTerm(term) {
+    const match = term.match(FILTER_TERM_PATTERN);
+    const field = match?.[1].toLowerCase();
+    const isKnownField = match && (TEXT_FILTER_FIELDS[field] || NUMERIC_FILTER_FIELDS[field] || field === 'type');
+    if (!isKnownField) {
+        const needle = term.toLowerCase();
+        return test => matchesFilter(test, needle);
+    }
+
+    const [, , operator, value] = match;
+    if (!value) {
+        throw new Error(`Missing value in "${term}"`);
+    }
+
+    if (TEXT_FILTER_FIELDS[field]) {
+        const getValue = TEXT_FILTER_FIELDS[field];
+        const needle = value.toLowerCase();
+        if (operator === ':~') return test => (getValue(test) ?? '').toLowerCase().includes(needle);
+        if (operator === ':' || operator === '=') return test => (getValue(test) ?? '').toLowerCase() === needle;
+        throw new Error(`"${field}" can only be matched with ":" or ":~"`);
+    }
+
+    if (NUMERIC_FILTER_FIELDS[field]) {
+        const getValue = NUMERIC_FILTER_FIELDS[field];
+        const compare = NUMERIC_COMPARISONS[operator];
+        const number = Number(value);
+        if (!compare) throw new Error(`"${field}" can only be compared with :, =, >, <, >= or <=`);
+        if (isNaN(number)) throw new Error(`"${value}" is not a number in "${term}"`);
+        return test => {
+            const testValue = getValue(test);
+            return testValue !== null && compare(testValue, number);
+        };
+    }
+
+    // type:gainer or type:simplification
+    const typeFilter = TYPE_FILTERS[value.toLowerCase()];
+    if (operator !== ':' || !typeFilter) {
+        throw new Error(`Unknown test type in "${term}", use one of ${Object.keys(TYPE_FILTERS).map(type => `type:${type}`).join(', ')}`);
+    }
+    return typeFilter;
+}
+
+// Parse a query into a predicate on tests, throws an Error describing the problem for malformed queries
+function parseFilterQuery(query) {
+    const tokens = query.match(/\(|\)|[^\s()]+/g) || [];
+    let position = 0;
+    const isOrToken = token => token === 'OR' || token === '|';
+
+    function parseGroup() {
+        position++; // Skip "("
+        const inner = parseOr();
+        if (tokens[position] !== ')') {
+            throw new Error('Missing closing parenthesis');
+        }
+        position++;
+        return inner;
+    }
+
+    function parseUnary() {
+        const token = tokens[position];
+        if (token === '(') return parseGroup();
+        if (token === '-' && tokens[position + 1] === '(') {
+            position++;
+            const negated = parseGroup();
+            return test => !negated(test);
+        }
+
+        position++;
+        if (token.length > 1 && token.startsWith('-')) {
+            const negated = compileFilterTerm(token.slice(1));
+            return test => !negated(test);
+        }
+        return compileFilterTerm(token);
+    }
+
+    function parseAnd() {
+        const terms = [];
+        while (position < tokens.length && tokens[position] !== ')' && !isOrToken(tokens[position])) {
+            terms.push(parseUnary());
+        }
+        if (terms.length === 0) {
+            throw new Error(position < tokens.length ? `Expected a term before "${tokens[position]}"` : 'Expected a term at the end');
+        }
+        return test => terms.every(term => term(test));
+    }
+
+    function parseOr() {
+        const alternatives = [parseAnd()];
+        while (isOrToken(tokens[position])) {
+            position++;
+            alternatives.push(parseAnd());
+        }
+        return test => alternatives.some(alternative => alternative(test));
+    }
+
+    const matcher = parseOr();
+    if (position < tokens.length) {
+        throw new Error(`Unexpected "${tokens[position]}"`); // e.g. an unmatched ")"
+    }
+    return matcher;
+}
+
+function showFilterError(message) {
+    filterError.textContent = message ? `Invalid filter: ${message}. Falling back to a plain text match.` : '';
+    filterError.hidden = !message;
+}
+
+function filterAndRenderTable() {
+    renderSummary(); // Highlights the user being filtered on
+    const filterText = filterInput.value.trim();
+    if (!filterText) {
+        showFilterError(null);
+        currentFilteredTests = pinWatchedTests(sortTests(allTestsData));
+        renderTable(currentFilteredTests); // Render all loaded tests
+        renderFinishedTable(finishedTestsData);
+        return;
+    }
+
+    let matcher;
+    try {
+        matcher = parseFilterQuery(filterText);
+        showFilterError(null);
+    } catch (error) {
+        showFilterError(error.message);
+        const lowerCaseFilter = filterText.toLowerCase();
+        matcher = test => matchesFilter(test, lowerCaseFilter);
+    }
+    currentFilteredTests = pinWatchedTests(sortTests(allTestsData.filter(matcher)));
+    renderTable(currentFilteredTests);
+    renderFinishedTable(finishedTestsData.filter(matcher));
+}
+
+// --- Charting ---
+// Metrics the chart can show, and how to read them from a history point and the one before it.
+// Colors are CSS variables so they follow the theme
+const CHART_METRICS = {
+    llr: { label: 'LLR', color: '--chart-llr', value: point => point.llr },
+    score: { label: 'Score', color: '--chart-score', value: point => point.score },
+    gamesPerHour: {
+        label: 'Games/hour',
+        color: '--chart-games-per-hour',
+        value: (point, previousPoint) => getGamesPerHour(previousPoint, point)
+    },
+    workers: { label: 'Workers', color: '--chart-workers', stepped: true, value: point => point.workers ?? null }
+};
+
+// X-axis modes: wall time, hours since each test started so tests that started at different times
+// line up, or games played, which is what the SPRT progresses with
+const X_AXIS_MODES = {
+    time: 'Time',
+    elapsed: 'Hours since test start',
+    games: 'Games played'
+};
+
+// Older history points only have time, score and LLR
+function hasGameCounts(point) {
+    return typeof point?.wins === 'number';
+}
+
+function getGamesPerHour(fromPoint, toPoint) {
+    if (!hasGameCounts(fromPoint) || !hasGameCounts(toPoint)) return null;
+    const hours = (toPoint.time - fromPoint.time) / 3600;
+    return hours > 0 ? (getTotalGames(toPoint) - getTotalGames(fromPoint)) / hours : null;
+}
+
+// One color per test when several tests are compared, as CSS variables
+const COMPARISON_COLORS = [
+    '--chart-compare-1',
+    '--chart-compare-2',
+    '--chart-compare-3',
+    '--chart-compare-4',
+    '--chart-compare-5',
+    '--chart-compare-6',
+    '--chart-compare-7'
+];
+
+// Look a test up among the active and recently finished tests
+function findTestById(testId) {
+    return allTestsData.find(test => test.id === testId)
+        ?? finishedTestsData.find(test => test.id === testId)
+        ?? null;
+}
+
+// Fetch the history of one test, unless the version listed in the manifest is already loaded
+function fetchHistoryFile(fileName, version) {
+    return fetch(`${HISTORY_DIR_URL}/${fileName}?v=${version}`).then(response => {
+        if (!response.ok) {
+            throw new Error(`Failed to load history/${fileName}: ${response.statusText}`);
+        }
+        return response.json();
+    });
+}
+
+function loadTestHistory(testId) {
+    const manifestEntry = historyManifest[testId];
+    if (!manifestEntry) return Promise.resolve(); // No history recorded for this test
+
+    const version = `${manifestEntry.lastUpdate}-${manifestEntry.points}-${manifestEntry.events ?? 0}`;
+    const requestKey = `${testId}@${version}`;
+    if (!historyRequests.has(requestKey)) {
+        const request = Promise.all([
+            fetchHistoryFile(`${testId}.json`, version),
+            manifestEntry.events > 0 ? fetchHistoryFile(`${testId}.events.json`, version) : []
+        ])
+            .then(([testHistory, events]) => {
+                historicalData[testId] = testHistory;
+                testEvents[testId] = events;
+            })
+            .catch(error => {
+                console.error(`Error loading history of ${testId}:`, error);
+                historyRequests.delete(requestKey); // Try again next time
+            });
+        historyRequests.set(requestKey, request);
+    }
+    return historyRequests.get(requestKey);
+}
+
+// Load the histories of the charted tests, then redraw
+async function loadAndUpdateChartData() {
+    await Promise.all(getChartTestIds().map(loadTestHistory));
+    updateChartData();
+}
+
+// The primary test first, then the tests added for comparison
+function getChartTestIds() {
+    return currentTrackingTestId ? [currentTrackingTestId, ...comparedTestIds] : [];
+}
+
+function getTestStartTime(testId) {
+    return findTestById(testId)?.startTime ?? historicalData[testId]?.[0]?.time ?? 0;
+}
+
+// X value of a history point for the current x-axis mode, null if the point can't be placed
+function toChartX(point, startTime) {
+    if (currentXAxisMode === 'elapsed') {
+        return (point.time - startTime) / 3600;
+    }
+    if (currentXAxisMode === 'games') {
+        return hasGameCounts(point) ? getTotalGames(point) : null;
+    }
+    return point.time * 1000; // Chart.js time scales use milliseconds
+}
+
+// Chart ranges, as the last seconds of the primary test's history
+const RANGE_PRESETS = {
+    '1h': 3600,
+    '6h': 6 * 3600,
+    '24h': 24 * 3600,
+    all: null
+};
+
+// Start of the x-axis for a range preset: the first point of the primary test within the range
+function getRangeStartX(seconds) {
+    const testHistory = historicalData[currentTrackingTestId] || [];
+    const lastPoint = testHistory[testHistory.length - 1];
+    if (!seconds || !lastPoint) return undefined;
+
+    const startTime = getTestStartTime(currentTrackingTestId);
+    const firstPoint = testHistory.find(point => point.time >= lastPoint.time - seconds && toChartX(point, startTime) !== null);
+    return firstPoint ? toChartX(firstPoint, startTime) : undefined;
+}
+
+function getXAxisOptions() {
+    const rangeStart = currentRangePreset === 'custom' ? undefined : getRangeStartX(RANGE_PRESETS[currentRangePreset]);
+    if (currentXAxisMode !== 'time') {
+        return {
+            type: 'linear',
+            beginAtZero: true,
+            min: rangeStart,
+            title: { display: true, text: X_AXIS_MODES[currentXAxisMode] }
+        };
+    }
+    // Without a fixed unit the ticks adapt to the visible range, from minutes to days
+    return {
+        type: 'time',
+        min: rangeStart,
+        time: {
+             minUnit: 'minute',
+             tooltipFormat: 'MMM d, HH:mm:ss',
+             displayFormats: {
+                 minute: 'HH:mm',
+                 hour: 'MMM d, HH:mm',
+                 day: 'MMM d'
+             }
+        },
+        title: { display: true, text: X_AXIS_MODES.time }
+    };
+}
+
+function getYAxisOptions() {
+    const title = { display: true, text: CHART_METRICS[currentVisibleMetric].label };
+    if (currentVisibleMetric !== 'llr') {
+        return { beginAtZero: true, title };
+    }
+
+    // Show the bounds of every charted test with some margin, the axis still grows if the LLR overshoots them
+    const allBounds = getChartTestIds().map(testId => getLLRBounds(findTestById(testId)));
+    return {
+        suggestedMin: Math.min(...allBounds.map(bounds => bounds.lower)) * 1.1,
+        suggestedMax: Math.max(...allBounds.map(bounds => bounds.upper)) * 1.1,
+        beginAtZero: false,
+        title
+    };
+}
+
+function updateChartTitle() {
+    if (comparedTestIds.length > 0) {
+        chartTitle.textContent = `Comparing ${comparedTestIds.length + 1} tests`;
+    } else {
+        chartTitle.textContent = `Progress for: ${currentTrackingBranchName} (ID: ${currentTrackingTestId.substring(0,8)}...)`;
+    }
+    // The canvas is an image to screen readers, say what it shows
+    progressChartCanvas.setAttribute('aria-label',
+        `${CHART_METRICS[currentVisibleMetric].label} chart. ${chartTitle.textContent}`);
+}
+
+// --- Chart event markers ---
+// Events of the primary test: purges, LLR jumps, modifications and restarts are drawn as labelled
+// lines, pauses as a shaded band up to the resume (or the end of the chart while still paused)
+const TEST_EVENT_LABELS = {
+    paused: 'Paused',
+    resumed: 'Resumed',
+    purged: 'Purge',
+    'llr-jump': 'LLR jump',
+    modified: 'Modified',
+    restarted: 'Restarted'
+};
+const MARKED_EVENT_TYPES = ['purged', 'llr-jump', 'modified', 'restarted'];
+
+// X value of an event for the current x-axis mode, events only know the total of games
+function getEventX(event, startTime) {
+    return currentXAxisMode === 'games' ? event.games : toChartX(event, startTime);
+}
+
+// Pauses as { start, end } x values, end is null while the test is still paused
+function getPauseRanges(events, startTime) {
+    const ranges = [];
+    events.forEach(event => {
+        const lastRange = ranges[ranges.length - 1];
+        if (event.type === 'paused' && lastRange?.end !== null) {
+            ranges.push({ start: getEventX(event, startTime), end: null });
+        } else if (event.type === 'resumed' && lastRange?.end === null) {
+            lastRange.end = getEventX(event, startTime);
+        }
+    });
+    return ranges;
+}
+
+const testEventsPlugin = {
+    id: 'testEvents',
+    beforeDatasetsDraw(chart) {
+        const events = testEvents[currentTrackingTestId] ?? [];
+        const { ctx, chartArea, scales: { x } } = chart;
+        const startTime = getTestStartTime(currentTrackingTestId);
+
+        ctx.save();
+        ctx.fillStyle = getThemeColor('--chart-pause-band');
+        getPauseRanges(events, startTime).forEach(range => {
+            // Against games a pause takes no room, it still gets a thin band
+            const start = x.getPixelForValue(range.start);
+            const end = range.end !== null ? x.getPixelForValue(range.end)
+                : currentXAxisMode === 'games' ? start
+                : chartArea.right;
+            const left = Math.max(start, chartArea.left);
+            const right = Math.min(Math.max(end, start + 2), chartArea.right);
+            if (right > left) {
+                ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+            }
+        });
+        ctx.restore();
+    },
+    afterDatasetsDraw(chart) {
+        const events = (testEvents[currentTrackingTestId] ?? []).filter(event => MARKED_EVENT_TYPES.includes(event.type));
+        const { ctx, chartArea, scales: { x } } = chart;
+        const startTime = getTestStartTime(currentTrackingTestId);
+
+        ctx.save();
+        ctx.strokeStyle = getThemeColor('--chart-event');
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.font = '11px sans-serif';
+        ctx.setLineDash([2, 3]);
+        events.forEach((event, index) => {
+            const value = getEventX(event, startTime);
+            if (value === null || value === undefined) return;
+            const pixel = x.getPixelForValue(value);
+            if (pixel < chartArea.left || pixel > chartArea.right) return;
+
+            ctx.beginPath();
+            ctx.moveTo(pixel, chartArea.top);
+            ctx.lineTo(pixel, chartArea.bottom);
+            ctx.stroke();
+            // Alternate the label height so the labels of close events don't overlap
+            ctx.fillText(TEST_EVENT_LABELS[event.type], pixel + 3, chartArea.top + 12 + (index % 2) * 12);
+        });
+        ctx.restore();
+    }
+};
+
+function describeTestEvent(event) {
+    switch (event.type) {
+        case 'purged':
+            return `Purge: games ${event.gamesBefore.toLocaleString()} \u2192 ${event.games.toLocaleString()}`;
+        case 'llr-jump':
+            return `LLR jump: ${event.llrBefore?.toFixed(2) ?? 'N/A'} \u2192 ${event.llr?.toFixed(2) ?? 'N/A'}`;
+        case 'modified':
+            return `Modified: ${event.changes.map(change => `${change.parameter} ${change.from ?? 'N/A'} \u2192 ${change.to ?? 'N/A'}`).join(', ')}`;
+        default:
+            return TEST_EVENT_LABELS[event.type] ?? event.type;
+    }
+}
+
+// The events of the primary test as text, with their exact times and for screen readers
+function renderChartEventList() {
+    const events = testEvents[currentTrackingTestId] ?? [];
+    chartEventList.replaceChildren(...events.map(event => {
+        const item = document.createElement('li');
+        item.textContent = `${new Date(event.time * 1000).toLocaleString()}: ${describeTestEvent(event)}`;
+        return item;
+    }));
+    chartEvents.querySelector('summary').textContent = `Events of this test (${events.length})`;
+    chartEvents.hidden = events.length === 0;
+}
+
+function initializeChart(testId, branchName) {
+    currentTrackingTestId = testId;
+    currentTrackingBranchName = branchName;
+    updateChartTitle();
+    chartContainer.style.display = 'block';
+    xAxisModeSelect.value = currentXAxisMode;
+    if (currentRangePreset === 'custom') {
+        currentRangePreset = 'all'; // A zoomed range belongs to the previous chart
+    }
+    updateMetricButtons();
+    updateRangeButtons();
+
+    updateTestEndedMessage();
+
+    if (currentChart) {
+        currentChart.destroy();
+    }
+
+    const ctx = progressChartCanvas.getContext('2d');
+
+    // Datasets are created by updateChartData, one per charted test plus the LLR guide lines
+    currentChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            datasets: []
+        },
+        plugins: [testEventsPlugin],
+        options: {
+            scales: {
+                x: getXAxisOptions(),
+                y: getYAxisOptions()
+            },
+            responsive: true,
+            maintainAspectRatio: true,
+             plugins: {
+                tooltip: {
+                    mode: 'index',
+                    intersect: false,
+                    filter: (item) => !item.dataset.excludeFromTooltip
+                },
+                // chartjs-plugin-zoom: wheel, pinch and drag zoom the x-axis, Ctrl+drag pans it
+                zoom: {
+                    zoom: {
+                        wheel: { enabled: true },
+                        pinch: { enabled: true },
+                        drag: { enabled: true },
+                        mode: 'x',
+                        onZoomComplete: () => setCustomRange()
+                    },
+                    pan: {
+                        enabled: true,
+                        mode: 'x',
+                        modifierKey: 'ctrl',
+                        onPanComplete: () => setCustomRange()
+                    },
+                    limits: {
+                        x: { min: 'original', max: 'original' }
+                    }
+                }
+            }
+        }
+    });
+
+    loadAndUpdateChartData(); // Populate with historical data
+}
+
+// Apply a change of metric, x-axis or charted tests to the open chart
+function refreshChart() {
+    if (!currentChart) return;
+
+    updateMetricButtons();
+    if (currentRangePreset === 'custom') {
+        currentRangePreset = 'all'; // The new x-axis drops the zoom
+    }
+    updateRangeButtons();
+    updateChartTitle();
+    currentChart.resetZoom?.('none');
+    currentChart.options.scales.x = getXAxisOptions();
+    currentChart.options.scales.y = getYAxisOptions();
+    // Points of different tests don't share x values, so "index" tooltips would pair unrelated points
+    currentChart.options.plugins.tooltip.mode = comparedTestIds.length > 0 ? 'nearest' : 'index';
+    loadAndUpdateChartData();
+}
+
+// Show the "test has ended" note, with the outcome when the test is in the finished archive
+function updateTestEndedMessage() {
+    const isActive = allTestsData.some(test => test.id === currentTrackingTestId);
+    testEndedMessage.style.display = isActive ? 'none' : 'block';
+    if (isActive) return;
+
+    const finishedTest = finishedTestsData.find(test => test.id === currentTrackingTestId);
+    const outcome = finishedTest ? ` (${OUTCOME_LABELS[finishedTest.outcome] ?? 'Unknown'})` : '';
+    testEndedMessage.textContent = `This test has ended${outcome} and is no longer active. Chart shows historical data.`;
+}
+
+// Reuse the dataset object already in the chart for this key, so Chart.js updates it in place
+function getChartDataset(key, defaults) {
+    return currentChart.data.datasets.find(dataset => dataset.key === key) ?? { key, data: [], ...defaults };
+}
+
+// Pass/fail lines spanning the history, and a dashed line from the latest LLR
+// to the more likely bound at the projected finish time
+function buildLLRGuideDatasets(testId) {
+    const testHistory = historicalData[testId] || [];
+    if (!testHistory.length) return [];
+
+    const bounds = getLLRBounds(findTestById(testId));
+    const startTime = getTestStartTime(testId);
+    const placedPoints = testHistory.filter(point => toChartX(point, startTime) !== null);
+    if (!placedPoints.length) return [];
+    const firstX = toChartX(placedPoints[0], startTime);
+    const lastPoint = placedPoints[placedPoints.length - 1];
+    const lastX = toChartX(lastPoint, startTime);
+    const guideDefaults = { borderWidth: 1, pointRadius: 0, excludeFromTooltip: true };
+
+    const passBound = getChartDataset('passBound', { ...guideDefaults, label: 'Pass bound', borderDash: [6, 4] });
+    passBound.borderColor = getThemeColor('--chart-pass-bound');
+    passBound.data = [{ x: firstX, y: bounds.upper }, { x: lastX, y: bounds.upper }];
+    const failBound = getChartDataset('failBound', { ...guideDefaults, label: 'Fail bound', borderDash: [6, 4] });
+    failBound.borderColor = getThemeColor('--chart-fail-bound');
+    failBound.data = [{ x: firstX, y: bounds.lower }, { x: lastX, y: bounds.lower }];
+    const datasets = [passBound, failBound];
+
+    const trackedTest = allTestsData.find(test => test.id === testId);
+    const projection = trackedTest ? computeSprtProjection(trackedTest) : null;
+    // Against games the projection is known even while the test is paused
+    if (projection && (currentXAxisMode === 'games' || projection.remainingSeconds)) {
+        const targetBound = projection.passProbability >= 0.5 ? bounds.upper : bounds.lower;
+        const projectedX = currentXAxisMode === 'games'
+            ? getTotalGames(trackedTest) + projection.remainingGames
+            : toChartX({ time: lastPoint.time + projection.remainingSeconds }, startTime);
+        const projectionDataset = getChartDataset('projection', { ...guideDefaults, label: 'Projection', borderWidth: 3, borderDash: [4, 4] });
+        projectionDataset.borderColor = getThemeColor('--chart-projection');
+        projectionDataset.data = [
+            { x: lastX, y: trackedTest.llr },
+            { x: projectedX, y: targetBound }
+        ];
+        datasets.push(projectionDataset);
+    }
+    return datasets;
+}
+
+function updateChartData() {
+    if (!currentChart || !currentTrackingTestId) return;
+
+    const testIds = getChartTestIds();
+    const isComparing = testIds.length > 1;
+    const metric = CHART_METRICS[currentVisibleMetric];
+
+    // One line per test, labelled by branch when comparing
+    const datasets = testIds.map((testId, index) => {
+        const testHistory = historicalData[testId] || [];
+        const startTime = getTestStartTime(testId);
+        const dataset = getChartDataset(`${currentVisibleMetric}:${testId}`, { tension: 0.1 });
+        dataset.label = isComparing ? (findTestById(testId)?.branch ?? testId) : metric.label;
+        dataset.borderColor = getThemeColor(isComparing ? COMPARISON_COLORS[index % COMPARISON_COLORS.length] : metric.color);
+        dataset.stepped = metric.stepped ?? false;
+        // Format data for Chart.js: {x, y}, null values become gaps and points without an x are left out
+        dataset.data = testHistory
+            .map((point, pointIndex) => ({
+                x: toChartX(point, startTime),
+                y: metric.value(point, testHistory[pointIndex - 1]) ?? NaN
+            }))
+            .filter(chartPoint => chartPoint.x !== null);
+        return dataset;
+    });
+
+    // The bounds and projection belong to a single test
+    if (!isComparing && currentVisibleMetric === 'llr') {
+        datasets.push(...buildLLRGuideDatasets(currentTrackingTestId));
+    }
+
+    currentChart.data.datasets = datasets;
+
+    // Keep a range preset on the latest data, a range picked by zooming stays where it is
+    if (currentRangePreset !== 'custom') {
+        currentChart.options.scales.x.min = getRangeStartX(RANGE_PRESETS[currentRangePreset]);
+    }
+
+    // Check again if the test is active based on the loaded latest data
+    updateTestEndedMessage();
+    renderChartEventList();
+
+    currentChart.update('none'); // Use 'none' to prevent animation
+}
+
+// Shift-click adds a test to the open chart, or removes it if it is already charted
+function toggleComparedTest(testId) {
+    if (testId === currentTrackingTestId) {
+        if (comparedTestIds.length === 0) {
+            closeChart();
+            return;
+        }
+        // The next compared test becomes the primary one
+        currentTrackingTestId = comparedTestIds.shift();
+        currentTrackingBranchName = findTestById(currentTrackingTestId)?.branch ?? currentTrackingTestId;
+    } else if (comparedTestIds.includes(testId)) {
+        comparedTestIds = comparedTestIds.filter(id => id !== testId);
+    } else {
+        comparedTestIds.push(testId);
+    }
+    refreshChart();
+}
+
+// Open the chart of a test, or add it to the open chart for comparison (or remove it again)
+function showTestChart(testId, branchName, compare) {
+    if (compare && currentTrackingTestId) {
+        toggleComparedTest(testId);
+        updateUrlState({ push: true });
+        return;
+    }
+
+    if (testId === currentTrackingTestId && comparedTestIds.length === 0) {
+        chartContainer.scrollIntoView({ behavior: 'smooth' });
+        return;
+    }
+
+    currentVisibleMetric = 'llr'; // Reset to LLR view for a new chart
+    comparedTestIds = [];
+    initializeChart(testId, branchName);
+    updateUrlState({ push: true }); // A new entry, so the back button returns to the previous chart
+    chartContainer.scrollIntoView({ behavior: 'smooth' });
+}
+
+function handleBranchClick(event) {
+    if (event.target.classList.contains('branch-link')) {
+        showTestChart(event.target.dataset.testId, event.target.dataset.branchName, event.shiftKey);
+    }
+}
+
+function closeChart() {
+    if (currentChart) {
+        currentChart.destroy();
+        currentChart = null;
+    }
+    currentTrackingTestId = null;
+    currentTrackingBranchName = null;
+    comparedTestIds = [];
+    chartContainer.style.display = 'none';
+}
+
+function toggleChartMetric(metricToShow) {
+    currentVisibleMetric = metricToShow;
+    refreshChart();
+}
+
+function setXAxisMode(mode) {
+    currentXAxisMode = mode;
+    xAxisModeSelect.value = mode;
+    refreshChart();
+}
+
+function updateMetricButtons() {
+    chartMetricButtons.forEach(button => {
+        const isActive = button.dataset.metric === currentVisibleMetric;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', String(isActive));
+    });
+}
+
+function updateRangeButtons() {
+    chartRangeButtons.forEach(button => {
+        const isActive = button.dataset.range === currentRangePreset;
+        button.classList.toggle('active', isActive);
+        button.setAttribute('aria-pressed', String(isActive));
+    });
+}
+
+function setRangePreset(preset) {
+    currentRangePreset = preset;
+    updateRangeButtons();
+    if (!currentChart) return;
+
+    currentChart.resetZoom?.('none'); // Undo zooming and panning, if the zoom plugin is loaded
+    currentChart.options.scales.x.min = getRangeStartX(RANGE_PRESETS[preset]);
+    currentChart.options.scales.x.max = undefined;
+    currentChart.update('none');
+}
+
+// Called by the zoom plugin once the user zoomed or panned
+function setCustomRange() {
+    currentRangePreset = 'custom';
+    updateRangeButtons();
+}
+
+// --- Export ---
+function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Quote a CSV field when it contains a separator, a quote or a line break
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// File names start with the branch of the test, cleaned up for the file system
+function getExportFileName(testId, suffix) {
+    const branch = (findTestById(testId)?.branch ?? 'test').replace(/[^\w.-]+/g, '_');
+    return `${branch}-${testId.substring(0, 8)}-${suffix}`;
+}
+
+function downloadHistoryCsv() {
+    if (!currentTrackingTestId) return;
+    const testHistory = historicalData[currentTrackingTestId] || [];
+    const header = ['time', 'llr', 'score', 'wins', 'losses', 'draws', 'games', 'workers'];
+    const rows = testHistory.map(point => [
+        new Date(point.time * 1000).toISOString(),
+        point.llr,
+        point.score,
+        point.wins,
+        point.losses,
+        point.draws,
+        hasGameCounts(point) ? getTotalGames(point) : null,
+        point.workers
+    ]);
+    downloadFile(getExportFileName(currentTrackingTestId, 'history.csv'), toCsv(header, rows), 'text/csv');
+}
+
+function downloadHistoryJson() {
+    if (!currentTrackingTestId) return;
+    const test = findTestById(currentTrackingTestId);
+    const content = {
+        id: currentTrackingTestId,
+        username: test?.username ?? null,
+        branch: test?.branch ?? null,
+        history: historicalData[currentTrackingTestId] || [],
+        events: testEvents[currentTrackingTestId] || []
+    };
+    downloadFile(getExportFileName(currentTrackingTestId, 'history.json'), JSON.stringify(content, null, 2), 'application/json');
+}
+
+// The canvas is transparent, so the image gets the chart container's background, as on screen
+function downloadChartPng() {
+    if (!currentChart) return;
+    const canvas = document.createElement('canvas');
+    canvas.width = progressChartCanvas.width;
+    canvas.height = progressChartCanvas.height;
+    const context = canvas.getContext('2d');
+    context.fillStyle = getThemeColor('--subtle-bg');
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.drawImage(progressChartCanvas, 0, 0);
+
+    const link = document.createElement('a');
+    link.href = canvas.toDataURL('image/png');
+    link.download = getExportFileName(currentTrackingTestId, 'chart.png');
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+}
+
+// The active tests as filtered and sorted in the table
+function exportTableCsv() {
+    const header = [
+        'id', 'username', 'branch', 'llr', 'llr_percent', 'elo0', 'elo1', 'games', 'wins', 'losses', 'draws',
+        'score_percent', 'workers', 'elo', 'elo_error', 'nelo', 'nelo_error', 'test_type', 'tc', 'threads'
+    ];
+    const rows = currentFilteredTests.map(test => {
+        const eloStats = getTestEloStats(test);
+        return [
+            test.id,
+            test.username,
+            test.branch,
+            test.llr,
+            test.llr === null ? null : getLLRPercentage(test.llr, getLLRBounds(test)).toFixed(1),
+            test.sprt?.elo0 ?? test.sprtElo0,
+            test.sprt?.elo1 ?? null,
+            getTotalGames(test),
+            test.wins,
+            test.losses,
+            test.draws,
+            getScorePercentage(test).toFixed(2),
+            test.workers,
+            eloStats?.elo.toFixed(2) ?? null,
+            eloStats?.eloError.toFixed(2) ?? null,
+            eloStats?.nElo.toFixed(2) ?? null,
+            eloStats?.nEloError.toFixed(2) ?? null,
+            test.testType ?? null,
+            test.tc ?? null,
+            test.threads ?? null
+        ];
+    });
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`fishtest-active-tests-${date}.csv`, toCsv(header, rows), 'text/csv');
+}
+
+// --- Function to handle username click for filtering ---
+function handleUsernameFilterClick(event) {
     if (event.target.classList.contains('username-filter-link')) {
-        event.preventDefault(); // Prevent default <a> behavior
         const usernameToFilter = event.target.dataset.username;
 
         if (usernameToFilter) {
             filterInput.value = usernameToFilter; // Set the filter input's value
             filterAndRenderTable();               // Trigger the filtering
+            updateUrlState();
             filterInput.focus();                  // Optional: focus the input field
         }
     }
 }
 
+// Add the filter term of a configuration badge to the filter, unless it is already there
+function handleConfigBadgeClick(event) {
+    const term = event.target.dataset?.filterTerm;
+    if (!term) return;
+
+    const filterText = filterInput.value.trim();
+    if (!filterText.split(/\s+/).includes(term)) {
+        filterInput.value = filterText ? `${filterText} ${term}` : term;
+        filterAndRenderTable();
+        updateUrlState();
+    }
+}
+
+// --- Deep links ---
+// The open chart, its metric and the filter are kept in the URL hash, e.g. #test=<id>&metric=llr&filter=user:sg
+// Compared tests follow the primary one in "test", separated by commas
+function updateUrlState({ push = false } = {}) {
+    const params = new URLSearchParams();
+    if (currentTrackingTestId) {
+        params.set('test', getChartTestIds().join(','));
+        params.set('metric', currentVisibleMetric);
+        if (currentXAxisMode !== 'time') {
+            params.set('x', currentXAxisMode);
+        }
+    }
+    const filterText = filterInput.value.trim();
+    if (filterText) {
+        params.set('filter', filterText);
+    }
+
+    // Keep commas and colons readable, URLSearchParams parses them either way
+    const hash = params.toString().replace(/%2C/gi, ',').replace(/%3A/gi, ':');
+    if (window.location.hash.slice(1) === hash) return;
+
+    // Without a hash, drop the "#" as well
+    const newUrl = hash ? `#${hash}` : `${window.location.pathname}${window.location.search}`;
+    if (push) {
+        history.pushState(null, '', newUrl);
+    } else {
+        history.replaceState(null, '', newUrl);
+    }
+}
+
+// Restore the filter and chart from the URL, on load and on back/forward navigation
+function applyUrlState() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+
+    filterInput.value = params.get('filter') ?? '';
+    filterAndRenderTable();
+
+    const [testId, ...otherTestIds] = (params.get('test') ?? '').split(',').filter(Boolean);
+    if (!testId) {
+        closeChart();
+        return;
+    }
+
+    currentVisibleMetric = CHART_METRICS[params.get('metric')] ? params.get('metric') : 'llr';
+    currentXAxisMode = X_AXIS_MODES[params.get('x')] ? params.get('x') : 'time';
+    comparedTestIds = otherTestIds.filter(id => id !== testId);
+
+    if (testId !== currentTrackingTestId) {
+        // Tests that left both tables can still have history, so fall back to the ID as the name
+        const branchName = findTestById(testId)?.branch ?? testId;
+        initializeChart(testId, branchName);
+        refreshChart();
+        chartContainer.scrollIntoView({ behavior: 'smooth' });
+    } else {
+        xAxisModeSelect.value = currentXAxisMode;
+        refreshChart();
+    }
+}
+
+// --- Theme ---
+// Light, dark or following the system. The resolved theme is set as data-theme on <html>,
+// style.css holds the colours of each theme and the chart takes its colours from there
+const THEME_STORAGE_KEY = 'fishtestTracker.theme';
+const THEME_PREFERENCES = ['system', 'light', 'dark'];
+const darkColorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+let themePreference = 'system';
+
+function loadThemePreference() {
+    try {
+        const savedPreference = localStorage.getItem(THEME_STORAGE_KEY);
+        return THEME_PREFERENCES.includes(savedPreference) ? savedPreference : 'system';
+    } catch (error) {
+        console.warn("Could not read theme preference:", error);
+        return 'system';
+    }
+}
+
+function saveThemePreference() {
+    try {
+        localStorage.setItem(THEME_STORAGE_KEY, themePreference);
+    } catch (error) {
+        console.warn("Could not save theme preference:", error); // e.g. storage disabled
+    }
+}
+
+function getThemeColor(name) {
+    return getComputedStyle(document.documentElement).getPropertyValue(name).trim();
+}
+
+function applyTheme() {
+    const theme = themePreference === 'system'
+        ? (darkColorSchemeQuery.matches ? 'dark' : 'light')
+        : themePreference;
+    document.documentElement.dataset.theme = theme;
+    themeSelect.value = themePreference;
+
+    // Text, axis and grid colours of every chart; update() re-reads the defaults.
+    // Line colours are set per dataset, so the chart data is rebuilt with the new theme
+    Chart.defaults.color = getThemeColor('--chart-text');
+    Chart.defaults.borderColor = getThemeColor('--chart-grid');
+    if (currentChart) {
+        updateChartData();
+    }
+}
+
+function setThemePreference(preference) {
+    themePreference = THEME_PREFERENCES.includes(preference) ? preference : 'system';
+    saveThemePreference();
+    applyTheme();
+}
+
 // --- Event Listeners ---
-filterInput.addEventListener('input', filterAndRenderTable);
+filterInput.addEventListener('input', () => {
+    filterAndRenderTable();
+    updateUrlState();
+});
+testsTableHead.addEventListener('click', handleSortClick);
+testsTableHead.addEventListener('keydown', handleSortKeydown);
 testsTableBody.addEventListener('click', (event) => {
     handleBranchClick(event);         // Handle branch clicks for charts
     handleUsernameFilterClick(event); // Handle username clicks for filtering
+    handleWatchClick(event);          // Handle stars for the watchlist
+    handleConfigBadgeClick(event);    // Handle configuration badges as filter facets
+    handleRowClick(event);            // Anywhere else on a row opens its details
 });
-toggleScoreButton.addEventListener('click', () => toggleChartMetric('score'));
-toggleLLRButton.addEventListener('click', () => toggleChartMetric('llr'));
+finishedTableBody.addEventListener('click', (event) => {
+    handleBranchClick(event);
+    handleUsernameFilterClick(event);
+    handleConfigBadgeClick(event);
+    handleRowClick(event);
+});
+[testsTableBody, finishedTableBody].forEach(tableBody => {
+    tableBody.addEventListener('keydown', handleRowKeydown);
+    tableBody.addEventListener('focusin', handleRowFocus);
+});
+userSummaryTableBody.addEventListener('click', handleUsernameFilterClick);
+chartMetricButtons.forEach(button => button.addEventListener('click', () => {
+    toggleChartMetric(button.dataset.metric);
+    updateUrlState();
+}));
+chartRangeButtons.forEach(button => button.addEventListener('click', () => setRangePreset(button.dataset.range)));
+downloadHistoryCsvButton.addEventListener('click', downloadHistoryCsv);
+downloadHistoryJsonButton.addEventListener('click', downloadHistoryJson);
+downloadChartPngButton.addEventListener('click', downloadChartPng);
+exportTableCsvButton.addEventListener('click', exportTableCsv);
+xAxisModeSelect.addEventListener('change', () => {
+    setXAxisMode(xAxisModeSelect.value);
+    updateUrlState();
+});
+window.addEventListener('popstate', applyUrlState);
+autoRefreshToggle.addEventListener('click', toggleAutoRefresh);
+themeSelect.addEventListener('change', () => setThemePreference(themeSelect.value));
+darkColorSchemeQuery.addEventListener('change', () => {
+    if (themePreference === 'system') {
+        applyTheme();
+    }
+});
+followUserForm.addEventListener('submit', (event) => {
+    event.preventDefault();
+    followUser(followUserInput.value);
+    followUserInput.value = '';
+});
+followedUsersList.addEventListener('click', (event) => {
+    if (event.target.dataset.username) {
+        unfollowUser(event.target.dataset.username);
+    }
+});
+[notifyEnabledCheckbox, notifyThresholdSelect, notifyOnThresholdCheckbox, notifyOnPauseCheckbox, notifyOnFinishCheckbox]
+    .forEach(control => control.addEventListener('change', handleNotificationSettingsChange));
 
 // --- Initial Load ---
 async function initializeApp() {
     console.log("Initializing application...");
-    await loadDataFromFiles(); // Load data from JSON files generated by Action
-    filterAndRenderTable(); // Render the initial table based on loaded data
+    // Cache the page and the data for offline use (needs http(s), not file://)
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('./sw.js').catch(error => {
+            console.error("Service worker registration failed:", error);
+        });
+    }
+    themePreference = loadThemePreference();
+    applyTheme();
+    currentSort = loadSortState();
+    updateSortIndicators();
+    watchlist = loadWatchlist();
+    renderFollowedUsers();
+    renderNotificationSettings();
+    if (await loadDataFromFiles()) { // Load data from JSON files generated by Action
+        pruneWatchlist();
+    }
+    applyUrlState(); // Render the initial table, and open the chart of a shared link
     console.log("Application initialized.");
 
+    startAutoRefresh();
+
     setInterval(() => {
-        if (Object.keys(historicalData).length > 0) { // Only if data is loaded
+        if (Object.keys(historyManifest).length > 0) { // Only if data is loaded
             displayLastUpdateTime();
         }
     }, 60000);
@@ -0,0 +1,90 @@
+// Service worker: keeps the page and the last good data available offline.
+// Everything is fetched from the network first and only comes from the cache when that fails,
+// so a deploy never runs an old app.js against data in a new format.
+
+const CACHE_NAME = 'fishtest-tracker-v1'; // Bump when the list below changes
+const APP_SHELL = [
+    './',
+    './index.html',
+    './app.js',
+    './style.css',
+    './vendor/chart.umd.min.js',
+    './vendor/chartjs-adapter-date-fns.bundle.min.js',
+    './vendor/hammer.min.js',
+    './vendor/chartjs-plugin-zoom.min.js'
+];
+// Added to data responses served from the cache because the network failed, app.js shows a banner for them
+const CACHED_RESPONSE_HEADER = 'X-Served-From-Cache';
+const HISTORY_MANIFEST_PATH = '/history/manifest.json';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop the caches of older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The data files carry a cache-busting "?v=", they are cached under their URL without it
+function getCacheKey(request) {
+    const url = new URL(request.url);
+    url.search = '';
+    return url.href;
+}
+
+// Cached history and event files of tests the manifest no longer lists, their tests were pruned
+async function pruneHistoryCache(cache, manifestResponse) {
+    const manifest = await manifestResponse.json();
+    const historyDir = new URL('./history/', self.registration.scope).pathname;
+    const requests = await cache.keys();
+    await Promise.all(requests.map(request => {
+        const pathname = new URL(request.url).pathname;
+        if (!pathname.startsWith(historyDir) || pathname.endsWith(HISTORY_MANIFEST_PATH)) return null;
+        const testId = pathname.slice(historyDir.length).replace(/(\.events)?\.json$/, '');
+        return manifest[testId] ? null : cache.delete(request);
+    }));
+}
+
+// With markCached, a response from the cache carries CACHED_RESPONSE_HEADER
+async function fetchNetworkFirst(event, { markCached = false } = {}) {
+    const request = event.request;
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(getCacheKey(request), response.clone());
+            if (new URL(request.url).pathname.endsWith(HISTORY_MANIFEST_PATH)) {
+                event.waitUntil(pruneHistoryCache(cache, response.clone()).catch(() => {}));
+            }
+        }
+        return response;
+    } catch (error) {
+        const cachedResponse = await cache.match(getCacheKey(request));
+        if (!cachedResponse) throw error;
+        if (!markCached) return cachedResponse;
+
+        const headers = new Headers(cachedResponse.headers);
+        headers.set(CACHED_RESPONSE_HEADER, '1');
+        return new Response(cachedResponse.body, {
+            status: cachedResponse.status,
+            statusText: cachedResponse.statusText,
+            headers
+        });
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(fetchNetworkFirst(event, { markCached: new URL(request.url).pathname.endsWith('.json') }));
+});